@@ -4,10 +4,11 @@ const axios = require('axios');
 const SolanaTrading = require('./solanaTrading');
 const HyperliquidTrading = require('./hyperliquidTrading');
 const PolymarketTrading = require('./polymarketTrading');
-
-// In-memory storage for limit orders
-const limitOrders = new Map(); // userId -> orders array
-let orderCounter = 1;
+const OrderStore = require('./orderStore');
+const UserSettings = require('./userSettings');
+const TradeLedger = require('./tradeLedger');
+const SnapshotStore = require('./snapshotStore');
+const { dataPath } = require('./storage');
 require('dotenv').config();
 
 // Configuration - Load from environment variables
@@ -19,6 +20,48 @@ const PRIVY_APP_SECRET = process.env.PRIVY_APP_SECRET;
 const AUTH_KEY_ID = process.env.PRIVY_AUTH_KEY_ID;
 const AUTH_KEY_PRIVATE = process.env.PRIVY_AUTH_KEY_PRIVATE;
 
+// Limit orders expire after this many hours if they never trigger
+const LIMIT_ORDER_TTL_HOURS = parseFloat(process.env.LIMIT_ORDER_TTL_HOURS) || 168;
+
+// Trade quotes can be confirmed for this many seconds
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS) || 30;
+
+// Solana holdings worth less than this (USD) are hidden as dust
+const SOLANA_DUST_THRESHOLD_USD = parseFloat(process.env.SOLANA_DUST_THRESHOLD_USD ?? '1');
+
+// Triggered limit/stop orders whose trade fails are retried this many times
+const LIMIT_ORDER_MAX_ATTEMPTS = 3;
+
+// Trades shown per /history page
+const HISTORY_PAGE_SIZE = 10;
+
+// Price levels shown on each side of a /book order book
+const BOOK_DEPTH = 5;
+
+// /markets catalog: markets per page, sort orders, remembered browse sessions and
+// the share size of the Buy buttons on a market card
+const MARKETS_PAGE_SIZE = 5;
+const MARKET_SORTS = ['volume', 'liquidity', 'ending', 'newest'];
+const MAX_MARKET_BROWSERS = 500;
+const MARKET_TRADE_SHARES = 10;
+
+// TWAP slices whose estimated price impact exceeds this (%) are skipped
+const TWAP_MAX_PRICE_IMPACT_PCT = parseFloat(process.env.TWAP_MAX_PRICE_IMPACT_PCT) || 1;
+
+// Portfolio snapshots for /pnl: how often they are taken and how long they are kept
+const PNL_SNAPSHOT_INTERVAL_MINUTES = parseFloat(process.env.PNL_SNAPSHOT_INTERVAL_MINUTES) || 60;
+const PNL_SNAPSHOT_RETENTION_DAYS = parseFloat(process.env.PNL_SNAPSHOT_RETENTION_DAYS) || 90;
+
+// How often held Polymarket markets are checked for resolution
+const POLYMARKET_RESOLUTION_CHECK_MINUTES = parseFloat(process.env.POLYMARKET_RESOLUTION_CHECK_MINUTES) || 10;
+
+// /pnl windows (null = all-time)
+const PNL_WINDOWS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  'all': null
+};
+
 // Validate required environment variables
 if (!token) {
   console.error('❌ TELEGRAM_BOT_TOKEN is required! Please set it in your .env file');
@@ -44,6 +87,38 @@ const solanaTrading = new SolanaTrading(privy);
 const hyperliquidTrading = new HyperliquidTrading(privy);
 const polymarketTrading = new PolymarketTrading(privy);
 
+// Persistent limit order storage (survives restarts)
+const orderStore = new OrderStore();
+
+// Price alerts share the order store format: same IDs, statuses and persistence
+const alertStore = new OrderStore(dataPath('priceAlerts.json'));
+
+// Recurring DCA buy plans (same store format as orders)
+const dcaStore = new OrderStore(dataPath('dcaPlans.json'));
+
+// TWAP parent orders and their slice progress (same store format as orders)
+const twapStore = new OrderStore(dataPath('twapOrders.json'));
+
+// Resolved Polymarket positions and their redemption state (same store format as orders)
+const resolutionStore = new OrderStore(dataPath('polymarketResolutions.json'));
+
+// Per-user preferences
+const userSettings = new UserSettings();
+
+// Persistent record of every executed trade (/history, /export history)
+const tradeLedger = new TradeLedger();
+
+// Periodic net worth snapshots (/pnl)
+const snapshotStore = new SnapshotStore(null, PNL_SNAPSHOT_RETENTION_DAYS);
+
+// Trade quotes awaiting Confirm/Cancel (short-lived, kept in memory)
+const pendingQuotes = new Map(); // quoteId -> quote
+let quoteCounter = 1;
+
+// /markets filters by browse ID so Prev/Next buttons can refer to them (kept in memory)
+const marketBrowsers = new Map(); // browseId -> filters
+let browseCounter = 1;
+
 console.log('Bot is running...');
 
 // Helper function to get or create user wallet for specific chain
@@ -187,7 +262,7 @@ bot.onText(/\/trade/, async (msg) => {
     const parts = text.split(' ');
 
     if (parts.length < 4) {
-      bot.sendMessage(chatId, 'Usage: /trade <platform> <action> <amount> <asset>\n\nPlatforms:\n• solana ✅ (REAL TRADING)\n• polymarket ✅ (REAL TRADING)\n• hyperliquid ✅ (REAL TRADING)\n\nActions: buy, sell\n\nExamples:\n/trade solana buy 0.01 SOL ✅\n/trade polymarket buy 50 "Will BTC hit 200k?" ✅\n/trade hyperliquid buy 100 BTC ✅');
+      bot.sendMessage(chatId, 'Usage: /trade <platform> <action> <amount> <asset>\n\nPlatforms:\n• solana ✅ (REAL TRADING)\n• polymarket ✅ (REAL TRADING)\n• hyperliquid ✅ (REAL TRADING)\n\nActions: buy, sell\n\nExamples:\n/trade solana buy 0.01 SOL ✅\n/trade solana buy 50 BONK with USDT ✅\n/trade solana sell 1000 BONK ✅\n/trade solana buy 10 SOL slippage=1% ✅\n/trade polymarket buy 50 "Will BTC hit 200k?" ✅\n/trade polymarket buy 50 NO "Will BTC hit 200k?" ✅\n/trade polymarket sell 20 YES "Will BTC hit 200k?" ✅\n/trade polymarket buy 50 YES "https://polymarket.com/event/..." ✅\n/trade hyperliquid buy 100 BTC ✅\n/trade hyperliquid buy 0.1 BTC tp=110000 sl=90000 ✅');
       return;
     }
 
@@ -213,32 +288,328 @@ bot.onText(/\/trade/, async (msg) => {
     // Get or create wallet for the correct chain
     const wallet = await getOrCreateWallet(telegramUserId, chainType);
 
-    bot.sendMessage(chatId, `🔄 Processing ${action} ${amount} ${asset} on ${platform.toUpperCase()}...`);
-
-    // Execute trade based on platform
-    switch (platform) {
-      case 'solana':
-        await executeSolanaTrade(wallet.id, action, amount, asset, chatId);
-        break;
-      case 'ethereum':
-        await executeEthereumTrade(wallet.id, action, amount, asset, chatId);
-        break;
-      case 'hyperliquid':
-        await executeHyperliquidTrade(wallet.id, action, amount, asset, chatId);
-        break;
-      case 'polymarket':
-        await executePolymarketTrade(wallet.id, action, amount, asset, chatId);
-        break;
-      default:
-        bot.sendMessage(chatId, 'Invalid platform. Supported platforms: solana, ethereum, hyperliquid, polymarket');
+    // Preview the trade first unless the user opted out of confirmations
+    if (platform !== 'ethereum' && userSettings.get(telegramUserId).confirmTrades) {
+      await sendTradeQuote(telegramUserId, chatId, platform, wallet.id, action, amount, asset);
+      return;
     }
 
+    bot.sendMessage(chatId, `🔄 Processing ${action} ${amount} ${asset} on ${platform.toUpperCase()}...`);
+    await dispatchTrade(telegramUserId, chatId, platform, wallet.id, action, amount, asset);
+
   } catch (error) {
     console.error('Error in trade command:', error);
     bot.sendMessage(chatId, `❌ Error processing trade: ${error.message}\n\nMake sure you have sufficient balance and try again.`);
   }
 });
 
+// Execute a trade on the given platform (quotedOrder: a confirmed Solana quote)
+async function dispatchTrade(telegramUserId, chatId, platform, walletId, action, amount, asset, quotedOrder = null) {
+  switch (platform) {
+    case 'solana': {
+      const result = await executeSolanaTrade(walletId, action, amount, asset, chatId, quotedOrder, userSettings.get(telegramUserId).slippageBps);
+      recordTrade(telegramUserId, platform, action, result);
+      break;
+    }
+    case 'ethereum':
+      await executeEthereumTrade(walletId, action, amount, asset, chatId);
+      break;
+    case 'hyperliquid': {
+      const result = await executeHyperliquidTrade(walletId, action, amount, asset, chatId);
+      if (result && result.success) {
+        trackHyperliquidTriggers(telegramUserId, chatId, walletId, result.asset, result.triggers);
+      }
+      recordTrade(telegramUserId, platform, action, result);
+      break;
+    }
+    case 'polymarket': {
+      const result = await executePolymarketTrade(walletId, action, amount, asset, chatId);
+      recordTrade(telegramUserId, platform, action, result);
+      break;
+    }
+    default:
+      bot.sendMessage(chatId, 'Invalid platform. Supported platforms: solana, ethereum, hyperliquid, polymarket');
+  }
+}
+
+// Write a successful trade result to the ledger (extra: source/orderId overrides)
+function recordTrade(telegramUserId, platform, action, result, extra = {}) {
+  if (!result || !result.success || !result.trade) return null;
+
+  try {
+    return tradeLedger.record(telegramUserId, {
+      platform,
+      side: action,
+      ...result.trade,
+      ...extra
+    });
+  } catch (error) {
+    console.error('Error recording trade in ledger:', error);
+    return null;
+  }
+}
+
+// Fetch a quote and ask the user to confirm it with inline buttons
+async function sendTradeQuote(telegramUserId, chatId, platform, walletId, action, amount, asset) {
+  bot.sendMessage(chatId, `🔎 Fetching quote for ${action} ${amount} ${asset} on ${platform.toUpperCase()}...`);
+
+  let quote;
+  if (platform === 'solana') {
+    quote = await solanaTrading.getQuote(walletId, action, amount, asset, userSettings.get(telegramUserId).slippageBps);
+  } else if (platform === 'hyperliquid') {
+    quote = await hyperliquidTrading.getQuote(action, amount, asset);
+  } else {
+    quote = await polymarketTrading.getQuote(walletId, action, amount, asset);
+  }
+
+  if (quote.error) {
+    bot.sendMessage(chatId, quote.error);
+    return;
+  }
+
+  const quoteId = (quoteCounter++).toString(36);
+  pendingQuotes.set(quoteId, {
+    userId: telegramUserId,
+    chatId,
+    platform,
+    walletId,
+    action,
+    amount,
+    asset,
+    order: quote.order || null,
+    expiresAt: Date.now() + QUOTE_TTL_SECONDS * 1000
+  });
+
+  const sent = await bot.sendMessage(chatId, `🧾 **Trade Quote (${platform.toUpperCase()})**\n\n${quote.lines.join('\n')}\n\n⏱️ Valid for ${QUOTE_TTL_SECONDS} seconds.`, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '✅ Confirm', callback_data: `quote:confirm:${quoteId}` },
+        { text: '❌ Cancel', callback_data: `quote:cancel:${quoteId}` }
+      ]]
+    }
+  });
+
+  // Expire the quote and strip its buttons once the window closes
+  setTimeout(() => {
+    if (pendingQuotes.delete(quoteId)) {
+      bot.editMessageText(`⌛ Quote expired. Run /trade again for a fresh quote.`, {
+        chat_id: chatId,
+        message_id: sent.message_id
+      }).catch(error => console.error('Error expiring quote:', error.message));
+    }
+  }, QUOTE_TTL_SECONDS * 1000);
+}
+
+// Confirm/Cancel buttons on a trade quote
+async function handleQuoteCallback(query) {
+  const [, decision, quoteId] = query.data.split(':');
+  const chatId = query.message.chat.id;
+  const quote = pendingQuotes.get(quoteId);
+
+  if (!quote || quote.userId !== query.from.id) {
+    bot.answerCallbackQuery(query.id, { text: 'This quote has expired or was already used.' });
+    return;
+  }
+
+  pendingQuotes.delete(quoteId);
+  bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+    chat_id: chatId,
+    message_id: query.message.message_id
+  }).catch(error => console.error('Error clearing quote buttons:', error.message));
+
+  if (decision === 'cancel') {
+    bot.answerCallbackQuery(query.id, { text: 'Trade cancelled' });
+    bot.sendMessage(chatId, '❌ Trade cancelled.');
+    return;
+  }
+
+  if (Date.now() > quote.expiresAt) {
+    bot.answerCallbackQuery(query.id, { text: 'Quote expired' });
+    bot.sendMessage(chatId, '⌛ Quote expired. Run /trade again for a fresh quote.');
+    return;
+  }
+
+  bot.answerCallbackQuery(query.id, { text: 'Executing trade...' });
+  await dispatchTrade(quote.userId, quote.chatId, quote.platform, quote.walletId, quote.action, quote.amount, quote.asset, quote.order);
+}
+
+bot.on('callback_query', async (query) => {
+  try {
+    const data = query.data || '';
+
+    if (data.startsWith('quote:')) {
+      await handleQuoteCallback(query);
+    } else if (data.startsWith('history:')) {
+      await handleHistoryCallback(query);
+    } else if (data.startsWith('markets:')) {
+      await handleMarketsCallback(query);
+    } else if (data.startsWith('redeem:')) {
+      await handleRedeemCallback(query);
+    } else {
+      bot.answerCallbackQuery(query.id);
+    }
+  } catch (error) {
+    console.error('Error handling callback query:', error);
+    bot.sendMessage(query.message.chat.id, `❌ Error: ${error.message}`);
+  }
+});
+
+// Parse "/history [platform] [days]" filters
+function parseHistoryFilters(args) {
+  const filters = { platform: null, days: null };
+
+  for (const arg of args) {
+    const value = arg.toLowerCase();
+    if (['solana', 'hyperliquid', 'polymarket'].includes(value) && !filters.platform) {
+      filters.platform = value;
+    } else if (/^\d+d?$/.test(value) && parseInt(value) > 0 && !filters.days) {
+      filters.days = parseInt(value);
+    } else {
+      throw new Error(`Unrecognised filter "${arg}". Use a platform (solana, hyperliquid, polymarket) and/or a number of days.`);
+    }
+  }
+
+  return filters;
+}
+
+// One page of a user's trade history with Prev/Next buttons
+function buildHistoryPage(telegramUserId, filters, page) {
+  const trades = tradeLedger.getUserTrades(telegramUserId, filters);
+  const scope = `${filters.platform ? filters.platform.toUpperCase() : 'All platforms'}${filters.days ? `, last ${filters.days} days` : ''}`;
+
+  if (trades.length === 0) {
+    return { text: `📜 **Trade History** (${scope})\n\nNo trades recorded yet.`, keyboard: [] };
+  }
+
+  const pageCount = Math.ceil(trades.length / HISTORY_PAGE_SIZE);
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  const pageTrades = trades.slice(currentPage * HISTORY_PAGE_SIZE, (currentPage + 1) * HISTORY_PAGE_SIZE);
+
+  let text = `📜 **Trade History** (${scope})\n\n`;
+  pageTrades.forEach(trade => {
+    const price = typeof trade.price === 'number' ? trade.price.toPrecision(6) : trade.price;
+    const fees = trade.fees === null ? '' : ` • Fee ${parseFloat(trade.fees).toFixed(4)} ${trade.feeAsset}`;
+    text += `#${trade.id} ${trade.timestamp.slice(0, 16).replace('T', ' ')} UTC\n`;
+    text += `• ${trade.platform} ${trade.side.toUpperCase()} ${trade.size} ${trade.asset} @ ${price} ${trade.quoteAsset}${fees}\n`;
+    text += `• ${trade.status}${trade.source !== 'trade' ? ` (${trade.source}${trade.orderId ? ` #${trade.orderId}` : ''})` : ''}${trade.txId ? ` • ${trade.txId}` : ''}\n\n`;
+  });
+  text += `Page ${currentPage + 1}/${pageCount} • ${trades.length} trades\n💡 /export history to download as CSV`;
+
+  // Filters ride along in the callback data so each button is self-contained
+  const filterData = `${filters.platform || 'all'}:${filters.days || 0}`;
+  const buttons = [];
+  if (currentPage > 0) {
+    buttons.push({ text: '⬅️ Newer', callback_data: `history:${currentPage - 1}:${filterData}` });
+  }
+  if (currentPage < pageCount - 1) {
+    buttons.push({ text: 'Older ➡️', callback_data: `history:${currentPage + 1}:${filterData}` });
+  }
+
+  return { text, keyboard: buttons.length > 0 ? [buttons] : [] };
+}
+
+bot.onText(/^\/history\b/, (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+
+  try {
+    const filters = parseHistoryFilters(msg.text.split(' ').slice(1).filter(Boolean));
+    const { text, keyboard } = buildHistoryPage(telegramUserId, filters, 0);
+    bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+  } catch (error) {
+    console.error('Error showing trade history:', error);
+    bot.sendMessage(chatId, `❌ ${error.message}\n\nUsage: /history [platform] [days]\nExample: /history solana 7`);
+  }
+});
+
+// Prev/Next buttons on a /history page
+async function handleHistoryCallback(query) {
+  const [, page, platform, days] = query.data.split(':');
+  const filters = {
+    platform: platform === 'all' ? null : platform,
+    days: parseInt(days) || null
+  };
+
+  const { text, keyboard } = buildHistoryPage(query.from.id, filters, parseInt(page) || 0);
+  await bot.editMessageText(text, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+    reply_markup: { inline_keyboard: keyboard }
+  });
+  bot.answerCallbackQuery(query.id);
+}
+
+bot.onText(/^\/export\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+
+  if (parts[1]?.toLowerCase() !== 'history') {
+    bot.sendMessage(chatId, 'Usage: /export history [platform] [days]\n\nExample: /export history hyperliquid 30');
+    return;
+  }
+
+  try {
+    const filters = parseHistoryFilters(parts.slice(2));
+    const trades = tradeLedger.getUserTrades(telegramUserId, filters);
+
+    if (trades.length === 0) {
+      bot.sendMessage(chatId, '📜 No trades recorded yet.');
+      return;
+    }
+
+    const csv = tradeLedger.toCsv(trades);
+    await bot.sendDocument(chatId, Buffer.from(csv, 'utf8'), {
+      caption: `📜 ${trades.length} trades`
+    }, {
+      filename: `trade-history-${new Date().toISOString().slice(0, 10)}.csv`,
+      contentType: 'text/csv'
+    });
+  } catch (error) {
+    console.error('Error exporting trade history:', error);
+    bot.sendMessage(chatId, `❌ Error exporting trade history: ${error.message}`);
+  }
+});
+
+bot.onText(/^\/settings\b/, (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+
+  const setting = parts[1]?.toLowerCase();
+
+  if (parts.length === 3 && setting === 'confirm') {
+    const value = parts[2].toLowerCase();
+    if (!['on', 'off'].includes(value)) {
+      bot.sendMessage(chatId, '❌ Invalid value. Use: /settings confirm on|off');
+      return;
+    }
+    userSettings.set(telegramUserId, 'confirmTrades', value === 'on');
+  } else if (parts.length === 3 && setting === 'autoredeem') {
+    const value = parts[2].toLowerCase();
+    if (!['on', 'off'].includes(value)) {
+      bot.sendMessage(chatId, '❌ Invalid value. Use: /settings autoredeem on|off');
+      return;
+    }
+    userSettings.set(telegramUserId, 'autoRedeem', value === 'on');
+  } else if (parts.length === 3 && setting === 'slippage') {
+    try {
+      const value = parts[2].toLowerCase();
+      userSettings.set(telegramUserId, 'slippageBps', value === 'default' ? null : solanaTrading.parseSlippage(value));
+    } catch (error) {
+      bot.sendMessage(chatId, `❌ ${error.message}`);
+      return;
+    }
+  } else if (parts.length > 1) {
+    bot.sendMessage(chatId, 'Usage: /settings [confirm on|off] [slippage <x%>|default] [autoredeem on|off]\n\nExamples:\n/settings confirm off\n/settings slippage 1%\n/settings autoredeem on');
+    return;
+  }
+
+  const settings = userSettings.get(telegramUserId);
+  const slippageBps = solanaTrading.resolveSlippageBps(null, settings.slippageBps);
+  bot.sendMessage(chatId, `⚙️ **Your Settings:**\n\n• Trade confirmation: ${settings.confirmTrades ? '✅ On' : '❌ Off'}\n• Solana slippage: ${(slippageBps / 100).toFixed(2)}%${settings.slippageBps ? '' : ' (default)'} (max ${(solanaTrading.maxSlippageBps / 100).toFixed(2)}%)\n• Polymarket auto-redeem: ${settings.autoRedeem ? '✅ On' : '❌ Off'}\n\n💡 **Change:**\n• /settings confirm on|off - Preview quotes before /trade executes\n• /settings slippage <x%>|default - Default Solana swap slippage\n• /settings autoredeem on|off - Redeem winning Polymarket shares automatically\n• Per trade: /trade solana buy 1 SOL slippage=1%`);
+});
+
 bot.onText(/\/balance/, async (msg) => {
   const chatId = msg.chat.id;
   const telegramUserId = msg.from.id;
@@ -279,13 +650,33 @@ bot.onText(/\/positions/, async (msg) => {
       positionsMessage += `🟢 **Polymarket:** No active positions\n\n`;
     }
 
-    // Hyperliquid positions (when implemented)
-    positionsMessage += `🔴 **Hyperliquid:** Positions tracking pending\n\n`;
+    // Get Hyperliquid perp positions
+    const hyperliquidAccount = await hyperliquidTrading.getPerpPositions(ethereumWallet.id);
+    if (hyperliquidAccount.positions.length > 0) {
+      positionsMessage += `🔴 **Hyperliquid:**\n`;
+      hyperliquidAccount.positions.forEach((pos, index) => {
+        const pnlEmoji = pos.unrealizedPnl >= 0 ? '🟢' : '🔴';
+        positionsMessage += `${index + 1}. ${pos.asset} ${pos.side.toUpperCase()} ${pos.size} (${pos.leverage ? `${pos.leverage}x ` : ''}${pos.marginMode})\n`;
+        positionsMessage += `   Entry: $${pos.entryPx.toFixed(4)} | Mark: $${pos.markPx.toFixed(4)}\n`;
+        positionsMessage += `   ${pnlEmoji} uPnL: $${pos.unrealizedPnl.toFixed(2)} (ROE ${pos.roe.toFixed(1)}%)\n`;
+        positionsMessage += `   Liq: ${pos.liquidationPx ? `$${pos.liquidationPx.toFixed(4)}` : 'N/A'} | Margin: $${pos.marginUsed.toFixed(2)}\n\n`;
+      });
+    } else {
+      positionsMessage += `🔴 **Hyperliquid:** No open positions\n\n`;
+    }
+    positionsMessage += `   Account Value: $${hyperliquidAccount.accountValue.toFixed(2)} | Margin Used: $${hyperliquidAccount.totalMarginUsed.toFixed(2)}\n`;
+    positionsMessage += `   Withdrawable: $${hyperliquidAccount.withdrawable.toFixed(2)}\n\n`;
 
-    // Solana positions (when implemented)
-    positionsMessage += `🟡 **Solana:** Positions tracking pending\n\n`;
+    // Solana token holdings
+    try {
+      const solanaHoldings = await solanaTrading.getTokenHoldings(solanaWallet.id, SOLANA_DUST_THRESHOLD_USD);
+      positionsMessage += `🟡 **Solana:**\n${formatSolanaHoldings(solanaHoldings)}\n`;
+    } catch (error) {
+      console.error('Error getting Solana holdings:', error);
+      positionsMessage += `🟡 **Solana:** Unable to fetch token holdings\n\n`;
+    }
 
-    positionsMessage += `💡 **Note:** Only Polymarket positions are currently tracked.`;
+    positionsMessage += `💡 **Tip:** Use /balance for your total portfolio value.`;
     bot.sendMessage(chatId, positionsMessage);
 
   } catch (error) {
@@ -294,6 +685,35 @@ bot.onText(/\/positions/, async (msg) => {
   }
 });
 
+bot.onText(/^\/pnl\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+  const windowKey = (parts[1] || '24h').toLowerCase();
+
+  if (parts.length > 2 || !(windowKey in PNL_WINDOWS)) {
+    bot.sendMessage(chatId, 'Usage: /pnl [24h|7d|all]\n\nExample: /pnl 7d');
+    return;
+  }
+
+  try {
+    bot.sendMessage(chatId, '🔄 Valuing your portfolio...');
+
+    const valuation = await getPortfolioValuation(telegramUserId);
+
+    // First /pnl (or a stale history) starts the snapshot series for this user
+    const latest = snapshotStore.getLatest(telegramUserId);
+    if (valuation.complete && (!latest || Date.now() - new Date(latest.timestamp).getTime() >= PNL_SNAPSHOT_INTERVAL_MINUTES * 60 * 1000)) {
+      snapshotStore.add(telegramUserId, toSnapshot(valuation));
+    }
+
+    bot.sendMessage(chatId, formatPnlReport(telegramUserId, valuation, windowKey));
+  } catch (error) {
+    console.error('Error building PnL report:', error);
+    bot.sendMessage(chatId, `❌ Error building PnL report: ${error.message}`);
+  }
+});
+
 bot.onText(/\/test/, async (msg) => {
   const chatId = msg.chat.id;
   const telegramUserId = msg.from.id;
@@ -441,7 +861,7 @@ bot.onText(/\/limit/, async (msg) => {
   const parts = text.split(' ');
 
   if (parts.length < 6) {
-    bot.sendMessage(chatId, 'Usage: /limit <platform> <action> <amount> <asset> <price>\n\nPlatforms: solana, hyperliquid\nActions: buy, sell\n\nExamples:\n/limit solana buy 0.01 SOL 200\n/limit solana sell 100 USDC 1.01\n/limit hyperliquid buy 1 BTC 95000\n\n⚠️ **Note:** Limit orders monitor prices and execute automatically when conditions are met.');
+    bot.sendMessage(chatId, 'Usage: /limit <platform> <action> <amount> <asset> <price> [gtc|alo]\n/limit polymarket <action> <shares> <outcome> <price¢> "<market>" [gtd <duration>]\n\nPlatforms: solana, hyperliquid, polymarket\nActions: buy, sell\n\nExamples:\n/limit solana buy 0.01 SOL 200\n/limit solana sell 100 USDC 1.01\n/limit solana sell 1000000 BONK 0.00003\n/limit hyperliquid buy 1 BTC 95000\n/limit hyperliquid sell 0.5 ETH 4000 alo\n/limit polymarket buy 50 yes 42¢ "Will BTC hit 200k?"\n/limit polymarket sell 20 no 65¢ "Fed cuts rates" gtd 12h\n/limit polymarket buy 10 "Donald Trump" 48¢ "Presidential Election Winner 2028"\n\n⚠️ **Note:** Solana limit orders monitor prices and execute automatically when conditions are met. Hyperliquid limit orders rest on the exchange order book (GTC, or ALO for post-only). Polymarket limit orders rest on the CLOB at the market\'s tick size (GTC, or GTD to expire after a duration like 30m, 12h or 2d).');
     return;
   }
 
@@ -451,8 +871,8 @@ bot.onText(/\/limit/, async (msg) => {
   const asset = parts[4];
   const targetPrice = parseFloat(parts[5]);
 
-  if (!['solana', 'hyperliquid'].includes(platform)) {
-    bot.sendMessage(chatId, '❌ Invalid platform. Supported: solana, hyperliquid');
+  if (!['solana', 'hyperliquid', 'polymarket'].includes(platform)) {
+    bot.sendMessage(chatId, '❌ Invalid platform. Supported: solana, hyperliquid, polymarket');
     return;
   }
 
@@ -461,37 +881,102 @@ bot.onText(/\/limit/, async (msg) => {
     return;
   }
 
+  // Polymarket orders rest on the CLOB: /limit polymarket <action> <shares> <outcome> <price¢> "<market>" [gtd <duration>]
+  if (platform === 'polymarket') {
+    // The outcome may be several words ("Donald Trump") and optionally quoted, as for /trade
+    const match = text.match(/^\/limit\S*\s+polymarket\s+\S+\s+\S+\s+(["“][^"“”]+["”]|.+?)\s+(\S+)\s+(["“].+["”])(?:\s+(gtc|gtd)(?:\s+(\S+))?)?\s*$/i);
+    if (!match) {
+      bot.sendMessage(chatId, '❌ Usage: /limit polymarket <buy|sell> <shares> <outcome> <price¢> "<market>" [gtd <duration>]\n\nExample: /limit polymarket buy 50 yes 42¢ "Will BTC hit 200k?"');
+      return;
+    }
+
+    const [, outcomeArg, priceArg, marketArg, tifArg, durationArg] = match;
+    const outcomeName = outcomeArg.replace(/^["“]|["”]$/g, '').trim();
+    const limitPrice = parsePolymarketPrice(priceArg);
+    if (!limitPrice) {
+      bot.sendMessage(chatId, '❌ Invalid price. Use cents between 0¢ and 100¢ (e.g. 42¢) or a probability like 0.42.');
+      return;
+    }
+
+    if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      bot.sendMessage(chatId, '❌ Invalid share amount. Must be a positive number.');
+      return;
+    }
+
+    const orderType = (tifArg || 'gtc').toUpperCase();
+    let expiration = null;
+    if (orderType === 'GTD') {
+      const durationMs = durationArg ? parseTwapDuration(durationArg) : null;
+      if (!durationMs) {
+        bot.sendMessage(chatId, '❌ GTD orders need a duration: <n>m, <n>h or <n>d (e.g. gtd 12h).');
+        return;
+      }
+      expiration = new Date(Date.now() + durationMs);
+    }
+
+    try {
+      await placePolymarketLimitOrder(telegramUserId, chatId, action, amount, `${outcomeName} ${marketArg}`, limitPrice, orderType, expiration,
+        `/limit polymarket ${action} ${amount} ${outcomeArg} ${priceArg}`, tifArg ? ` ${tifArg}${durationArg ? ` ${durationArg}` : ''}` : '');
+    } catch (error) {
+      console.error('Error creating Polymarket limit order:', error);
+      bot.sendMessage(chatId, `❌ Error creating limit order: ${error.message}`);
+    }
+    return;
+  }
+
   if (isNaN(targetPrice) || targetPrice <= 0) {
     bot.sendMessage(chatId, '❌ Invalid price. Must be a positive number.');
     return;
   }
 
   try {
+    // Hyperliquid limit orders rest natively on the exchange book
+    if (platform === 'hyperliquid') {
+      const tif = (parts[6] || 'gtc').toLowerCase();
+      if (!['gtc', 'alo'].includes(tif)) {
+        bot.sendMessage(chatId, '❌ Invalid time in force. Supported: gtc, alo (post-only)');
+        return;
+      }
+
+      await placeHyperliquidLimitOrder(telegramUserId, chatId, action, amount, asset, targetPrice, tif === 'alo');
+      return;
+    }
+
+    // Solana orders must be priceable now, otherwise they would never trigger
+    let mint = null;
+    let currentPrice = null;
+    if (platform === 'solana') {
+      const token = await solanaTrading.resolveToken(asset);
+      currentPrice = await solanaTrading.getTokenPrice(token.mint);
+
+      if (!currentPrice) {
+        bot.sendMessage(chatId, `❌ No price feed available for ${token.symbol}. Limit orders can only be placed on tokens Jupiter can price.`);
+        return;
+      }
+      mint = token.mint;
+    }
+
     // Get wallet
     const wallet = await getOrCreateWallet(telegramUserId, platform === 'solana' ? 'solana' : 'ethereum');
 
-    // Create limit order
-    const orderId = orderCounter++;
-    const limitOrder = {
-      id: orderId,
+    // Create and persist limit order
+    const createdAt = new Date();
+    const limitOrder = orderStore.add(telegramUserId, {
       platform,
       action,
       amount,
       asset,
+      mint,
       targetPrice,
       status: 'active',
-      createdAt: new Date(),
+      createdAt,
+      expiresAt: new Date(createdAt.getTime() + LIMIT_ORDER_TTL_HOURS * 60 * 60 * 1000),
       walletId: wallet.id,
       chatId
-    };
-
-    // Store order
-    if (!limitOrders.has(telegramUserId)) {
-      limitOrders.set(telegramUserId, []);
-    }
-    limitOrders.get(telegramUserId).push(limitOrder);
+    });
+    const orderId = limitOrder.id;
 
-    bot.sendMessage(chatId, `✅ **Limit Order Created!**\n\n📋 **Order #${orderId}:**\n• ${action.toUpperCase()} ${amount} ${asset} when price ${action === 'buy' ? '≤' : '≥'} $${targetPrice}\n• Platform: ${platform}\n• Status: 🔄 Active\n\n💡 **Monitoring:** Price will be checked every 30 seconds.\n\nUse /orders to view all your limit orders.\nUse /cancel <order_id> to cancel this order.`);
+    bot.sendMessage(chatId, `✅ **Limit Order Created!**\n\n📋 **Order #${orderId}:**\n• ${action.toUpperCase()} ${amount} ${asset} when price ${action === 'buy' ? '≤' : '≥'} $${targetPrice}\n• Platform: ${platform}\n• Status: 🔄 Active\n${currentPrice ? `• Current Price: $${currentPrice.toFixed(6)}\n` : ''}• Expires: ${limitOrder.expiresAt.toUTCString()}\n\n💡 **Monitoring:** Price will be checked every 30 seconds.\n\nUse /orders to view all your limit orders.\nUse /cancel <order_id> to cancel this order.`);
 
   } catch (error) {
     console.error('Error creating limit order:', error);
@@ -499,72 +984,1368 @@ bot.onText(/\/limit/, async (msg) => {
   }
 });
 
-bot.onText(/\/orders/, async (msg) => {
-  const chatId = msg.chat.id;
-  const telegramUserId = msg.from.id;
+// Polymarket prices as cents ("42¢", "42c", "42") or a probability ("0.42").
+// Returns the price as a fraction of $1, or null when it is not inside (0, 1)
+function parsePolymarketPrice(value) {
+  const match = value.match(/^(\d*\.?\d+)(¢|c)?$/i);
+  if (!match) {
+    return null;
+  }
 
-  try {
-    const userOrders = limitOrders.get(telegramUserId) || [];
+  const number = parseFloat(match[1]);
+  const price = match[2] || number >= 1 ? number / 100 : number;
+  return price > 0 && price < 1 ? price : null;
+}
 
-    if (userOrders.length === 0) {
-      bot.sendMessage(chatId, '📋 **Your Limit Orders:**\n\n❌ No active limit orders found.\n\nCreate one with: /limit <platform> <action> <amount> <asset> <price>');
+// Format an order's target price: Polymarket odds in cents, everything else in USD
+function formatOrderPrice(order) {
+  return order.platform === 'polymarket' ? formatAlertPrice('polymarket', order.targetPrice) : `$${order.targetPrice}`;
+}
+
+// Trigger level of a trailing stop for a given high-water mark
+function computeTrailingTrigger(order, highWaterMark) {
+  return order.trailPercent
+    ? highWaterMark * (1 - order.trailPercent / 100)
+    : highWaterMark - order.trailAmount;
+}
+
+function describeTrailDistance(order) {
+  return order.trailPercent ? `${order.trailPercent}%` : `$${order.trailAmount}`;
+}
+
+// Stop and trailing-stop sells on Solana spot holdings, watched by the order monitor.
+// type: 'stop' (triggerArg is a price) or 'trailing' (triggerArg is "5%" or an absolute distance)
+async function placeSolanaStopOrder(telegramUserId, chatId, type, amount, asset, triggerArg) {
+  const token = await solanaTrading.resolveToken(asset);
+  const currentPrice = await solanaTrading.getTokenPrice(token.mint);
+
+  if (!currentPrice) {
+    bot.sendMessage(chatId, `❌ No price feed available for ${token.symbol}. Stop orders can only be placed on tokens Jupiter can price.`);
+    return;
+  }
+
+  const trigger = {};
+  if (type === 'stop') {
+    trigger.targetPrice = parseFloat(triggerArg);
+    if (isNaN(trigger.targetPrice) || trigger.targetPrice <= 0) {
+      bot.sendMessage(chatId, '❌ Invalid trigger price. Must be a positive number.');
+      return;
+    }
+    if (trigger.targetPrice >= currentPrice) {
+      bot.sendMessage(chatId, `❌ Stop trigger $${trigger.targetPrice} must be below the current price ($${currentPrice.toFixed(6)}). Use /limit to sell above the market.`);
+      return;
+    }
+  } else {
+    const isPercent = triggerArg.endsWith('%');
+    const distance = parseFloat(triggerArg.replace('%', ''));
+    if (isNaN(distance) || distance <= 0 || (isPercent && distance >= 100) || (!isPercent && distance >= currentPrice)) {
+      bot.sendMessage(chatId, `❌ Invalid trail distance. Use a percentage below 100% (e.g. 5%) or an amount below the current price ($${currentPrice.toFixed(6)}).`);
       return;
     }
+    trigger.trailPercent = isPercent ? distance : null;
+    trigger.trailAmount = isPercent ? null : distance;
+    trigger.highWaterMark = currentPrice;
+    trigger.targetPrice = computeTrailingTrigger(trigger, currentPrice);
+  }
 
-    let message = '📋 **Your Limit Orders:**\n\n';
-    userOrders.forEach(order => {
-      const statusEmoji = order.status === 'active' ? '🔄' : order.status === 'executed' ? '✅' : '❌';
-      message += `**#${order.id}:** ${statusEmoji} ${order.action.toUpperCase()} ${order.amount} ${order.asset} @ $${order.targetPrice}\n`;
-      message += `   Platform: ${order.platform} | Status: ${order.status}\n\n`;
-    });
+  const wallet = await getOrCreateWallet(telegramUserId, 'solana');
+  const stopOrder = orderStore.add(telegramUserId, {
+    platform: 'solana',
+    type,
+    action: 'sell',
+    amount,
+    asset: token.symbol,
+    mint: token.mint,
+    ...trigger,
+    status: 'active',
+    createdAt: new Date(),
+    expiresAt: null, // Protective orders stay active until triggered or cancelled
+    walletId: wallet.id,
+    chatId
+  });
+
+  const triggerLine = type === 'stop'
+    ? `• SELL ${amount} ${token.symbol} when price ≤ $${stopOrder.targetPrice}`
+    : `• SELL ${amount} ${token.symbol} if price drops ${describeTrailDistance(stopOrder)} from its high\n• Trigger now: $${stopOrder.targetPrice.toPrecision(6)} (high $${currentPrice.toPrecision(6)})`;
+
+  bot.sendMessage(chatId, `✅ **${type === 'stop' ? 'Stop-Loss' : 'Trailing Stop'} Order Created!**\n\n📋 **Order #${stopOrder.id}:**\n${triggerLine}\n• Platform: solana\n• Current Price: $${currentPrice.toFixed(6)}\n\n💡 **Monitoring:** Price will be checked every 30 seconds.\n\nUse /orders to view all your orders.\nUse /cancel ${stopOrder.id} to cancel this order.`);
+}
 
-    message += '💡 **Commands:**\n• /cancel <order_id> - Cancel order\n• /limit - Create new order';
+bot.onText(/^\/stop\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const parts = msg.text.split(' ').filter(Boolean);
 
-    bot.sendMessage(chatId, message);
+  if (parts.length < 5 || parts[1].toLowerCase() !== 'solana') {
+    bot.sendMessage(chatId, 'Usage: /stop solana <amount> <asset> <trigger_price>\n\nSells when the price falls to the trigger.\n\nExample:\n/stop solana 1000000 BONK 0.00002');
+    return;
+  }
 
+  try {
+    await placeSolanaStopOrder(msg.from.id, chatId, 'stop', parts[2], parts[3], parts[4]);
   } catch (error) {
-    console.error('Error getting orders:', error);
-    bot.sendMessage(chatId, '❌ Error retrieving orders.');
+    console.error('Error creating stop order:', error);
+    bot.sendMessage(chatId, `❌ Error creating stop order: ${error.message}`);
   }
 });
 
-bot.onText(/\/cancel/, async (msg) => {
+bot.onText(/^\/trail\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+
+  if (parts.length < 5 || parts[1].toLowerCase() !== 'solana') {
+    bot.sendMessage(chatId, 'Usage: /trail solana <amount> <asset> <distance%|distance>\n\nSells when the price falls the given distance below its highest price since the order was placed.\n\nExamples:\n/trail solana 2 SOL 5%\n/trail solana 2 SOL 10');
+    return;
+  }
+
+  try {
+    await placeSolanaStopOrder(msg.from.id, chatId, 'trailing', parts[2], parts[3], parts[4]);
+  } catch (error) {
+    console.error('Error creating trailing stop:', error);
+    bot.sendMessage(chatId, `❌ Error creating trailing stop: ${error.message}`);
+  }
+});
+
+// Parse "tp <price> sl <price>" (either order) from command arguments
+function parseTpslPair(args) {
+  const prices = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const kind = args[i].toLowerCase();
+    const price = parseFloat(args[i + 1]);
+    if (!['tp', 'sl'].includes(kind) || isNaN(price) || price <= 0) {
+      return null;
+    }
+    prices[kind] = price;
+  }
+  return prices.tp && prices.sl ? prices : null;
+}
+
+bot.onText(/^\/oco\b/, async (msg) => {
   const chatId = msg.chat.id;
   const telegramUserId = msg.from.id;
-  const text = msg.text;
-  const parts = text.split(' ');
+  const parts = msg.text.split(' ').filter(Boolean);
+  const usage = 'Usage: /oco <platform> <amount> <asset> tp <price> sl <price>\n\nA take-profit and a stop-loss on a holding/position: when one fills the other is cancelled.\n\nExamples:\n/oco solana 2 SOL tp 250 sl 180\n/oco hyperliquid 0.1 BTC tp 110000 sl 90000';
 
-  if (parts.length < 2) {
-    bot.sendMessage(chatId, 'Usage: /cancel <order_id>\n\nExample: /cancel 1\n\nUse /orders to see your order IDs.');
+  const prices = parts.length === 8 ? parseTpslPair(parts.slice(4)) : null;
+  if (!prices) {
+    bot.sendMessage(chatId, usage);
     return;
   }
 
-  const orderId = parseInt(parts[1]);
+  const platform = parts[1].toLowerCase();
+  const amount = parts[2];
+  const asset = parts[3];
 
   try {
-    const userOrders = limitOrders.get(telegramUserId) || [];
-    const orderIndex = userOrders.findIndex(order => order.id === orderId);
+    if (platform === 'hyperliquid') {
+      const wallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+      const result = await hyperliquidTrading.placeOcoTriggers(wallet.id, asset, amount, prices.tp, prices.sl);
+      if (!result.success) {
+        bot.sendMessage(chatId, `❌ Failed to place OCO: ${result.error}`);
+        return;
+      }
 
-    if (orderIndex === -1) {
-      bot.sendMessage(chatId, `❌ Order #${orderId} not found.\n\nUse /orders to see your active orders.`);
+      const legs = trackHyperliquidTriggers(telegramUserId, chatId, wallet.id, result.asset, result.triggers);
+      linkOcoOrders(legs);
+      bot.sendMessage(chatId, `✅ **OCO Placed on Hyperliquid!**\n\n${legs.map(leg => `• ${leg.type === 'tp' ? '🎯 TP' : '🛑 SL'} #${leg.id}: ${leg.action.toUpperCase()} ${leg.amount} ${leg.asset} trigger $${leg.targetPrice} (reduce-only)`).join('\n')}\n\nWhen one fills the other is cancelled.\nUse /cancel ${legs[0].id} to cancel both.`);
       return;
     }
 
-    const order = userOrders[orderIndex];
-    if (order.status !== 'active') {
-      bot.sendMessage(chatId, `❌ Cannot cancel order #${orderId} - status: ${order.status}`);
+    if (platform !== 'solana') {
+      bot.sendMessage(chatId, '❌ Invalid platform. Supported: solana, hyperliquid');
       return;
     }
 
-    // Mark as cancelled
-    order.status = 'cancelled';
-    bot.sendMessage(chatId, `✅ **Order Cancelled!**\n\n📋 **Order #${orderId}:**\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset} @ $${order.targetPrice}\n• Status: ❌ Cancelled`);
+    const token = await solanaTrading.resolveToken(asset);
+    const currentPrice = await solanaTrading.getTokenPrice(token.mint);
+    if (!currentPrice) {
+      bot.sendMessage(chatId, `❌ No price feed available for ${token.symbol}. OCO orders can only be placed on tokens Jupiter can price.`);
+      return;
+    }
+    if (!(prices.sl < currentPrice && currentPrice < prices.tp)) {
+      bot.sendMessage(chatId, `❌ The stop must be below and the take-profit above the current price ($${currentPrice.toFixed(6)}).`);
+      return;
+    }
 
-  } catch (error) {
-    console.error('Error cancelling order:', error);
-    bot.sendMessage(chatId, '❌ Error cancelling order.');
-  }
-});
+    const wallet = await getOrCreateWallet(telegramUserId, 'solana');
+    const leg = {
+      platform: 'solana',
+      action: 'sell',
+      amount,
+      asset: token.symbol,
+      mint: token.mint,
+      status: 'active',
+      createdAt: new Date(),
+      expiresAt: null, // Protective orders stay active until triggered or cancelled
+      walletId: wallet.id,
+      chatId
+    };
+    const takeProfit = orderStore.add(telegramUserId, { ...leg, targetPrice: prices.tp });
+    const stopLoss = orderStore.add(telegramUserId, { ...leg, type: 'stop', targetPrice: prices.sl });
+    linkOcoOrders([takeProfit, stopLoss]);
+
+    bot.sendMessage(chatId, `✅ **OCO Created!**\n\n• 🎯 #${takeProfit.id}: SELL ${amount} ${token.symbol} when price ≥ $${prices.tp}\n• 🛑 #${stopLoss.id}: SELL ${amount} ${token.symbol} when price ≤ $${prices.sl}\n• Current Price: $${currentPrice.toFixed(6)}\n\nWhen one fills the other is cancelled.\nUse /cancel ${takeProfit.id} to cancel both.`);
+
+  } catch (error) {
+    console.error('Error creating OCO order:', error);
+    bot.sendMessage(chatId, `❌ Error creating OCO order: ${error.message}`);
+  }
+});
+
+bot.onText(/^\/bracket\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+  const usage = 'Usage: /bracket <platform> <buy|sell> <amount> <asset> <entry> tp <price> sl <price> [gtc|alo]\n\nA limit entry that arms a take-profit/stop-loss pair (OCO) once it fills.\n\nExamples:\n/bracket solana buy 100 SOL 190 tp 230 sl 175\n/bracket hyperliquid buy 0.1 BTC 95000 tp 105000 sl 92000\n/bracket hyperliquid sell 1 ETH 4000 tp 3600 sl 4200 alo';
+
+  const prices = parts.length >= 10 ? parseTpslPair(parts.slice(6, 10)) : null;
+  const platform = parts[1]?.toLowerCase();
+  const action = parts[2]?.toLowerCase();
+  const amount = parts[3];
+  const asset = parts[4];
+  const entryPrice = parseFloat(parts[5]);
+
+  if (!prices || parts.length > 11 || !['buy', 'sell'].includes(action) || isNaN(entryPrice) || entryPrice <= 0) {
+    bot.sendMessage(chatId, usage);
+    return;
+  }
+
+  try {
+    if (platform === 'hyperliquid') {
+      const tif = (parts[10] || 'gtc').toLowerCase();
+      if (!['gtc', 'alo'].includes(tif)) {
+        bot.sendMessage(chatId, '❌ Invalid time in force. Supported: gtc, alo (post-only)');
+        return;
+      }
+
+      await placeHyperliquidLimitOrder(telegramUserId, chatId, action, amount, asset, entryPrice, tif === 'alo', prices);
+      return;
+    }
+
+    if (platform !== 'solana') {
+      bot.sendMessage(chatId, '❌ Invalid platform. Supported: solana, hyperliquid');
+      return;
+    }
+    if (action !== 'buy') {
+      bot.sendMessage(chatId, '❌ Solana brackets are buy-only: spot holdings cannot be shorted.');
+      return;
+    }
+    if (!(prices.sl < entryPrice && entryPrice < prices.tp)) {
+      bot.sendMessage(chatId, '❌ The stop must be below and the take-profit above the entry price.');
+      return;
+    }
+
+    const token = await solanaTrading.resolveToken(asset);
+    const currentPrice = await solanaTrading.getTokenPrice(token.mint);
+    if (!currentPrice) {
+      bot.sendMessage(chatId, `❌ No price feed available for ${token.symbol}. Bracket orders can only be placed on tokens Jupiter can price.`);
+      return;
+    }
+
+    const wallet = await getOrCreateWallet(telegramUserId, 'solana');
+    const createdAt = new Date();
+    const entry = orderStore.add(telegramUserId, {
+      platform: 'solana',
+      action: 'buy',
+      amount,
+      asset: token.symbol,
+      mint: token.mint,
+      targetPrice: entryPrice,
+      status: 'active',
+      createdAt,
+      expiresAt: new Date(createdAt.getTime() + LIMIT_ORDER_TTL_HOURS * 60 * 60 * 1000),
+      walletId: wallet.id,
+      chatId
+    });
+
+    // Exits wait as 'pending' and are sized from the entry's fill
+    const exit = {
+      platform: 'solana',
+      parentId: entry.id,
+      action: 'sell',
+      amount: null,
+      asset: token.symbol,
+      mint: token.mint,
+      status: 'pending',
+      createdAt,
+      expiresAt: null,
+      walletId: wallet.id,
+      chatId
+    };
+    const takeProfit = orderStore.add(telegramUserId, { ...exit, targetPrice: prices.tp });
+    const stopLoss = orderStore.add(telegramUserId, { ...exit, type: 'stop', targetPrice: prices.sl });
+    linkOcoOrders([takeProfit, stopLoss]);
+    orderStore.update(entry, { childOrderIds: [takeProfit.id, stopLoss.id] });
+
+    bot.sendMessage(chatId, `✅ **Bracket Order Created!**\n\n📋 **Entry #${entry.id}:** BUY ${amount} ${token.symbol} when price ≤ $${entryPrice}\n• 🎯 Exit #${takeProfit.id}: sell at ≥ $${prices.tp}\n• 🛑 Exit #${stopLoss.id}: sell at ≤ $${prices.sl}\n• Current Price: $${currentPrice.toFixed(6)}\n• Entry expires: ${entry.expiresAt.toUTCString()}\n\nThe exits arm (OCO, sized to the tokens bought) once the entry fills.\nUse /cancel ${entry.id} to cancel the whole bracket.`);
+
+  } catch (error) {
+    console.error('Error creating bracket order:', error);
+    bot.sendMessage(chatId, `❌ Error creating bracket order: ${error.message}`);
+  }
+});
+
+// DCA intervals: "<n>h", "<n>d", "<n>w" or hour/day/week
+const DCA_INTERVAL_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const DCA_INTERVAL_WORDS = { hour: '1h', hourly: '1h', day: '1d', daily: '1d', week: '1w', weekly: '1w' };
+
+function parseDcaInterval(value) {
+  const normalized = DCA_INTERVAL_WORDS[value.toLowerCase()] || value.toLowerCase();
+  const match = normalized.match(/^(\d*\.?\d+)([hdw])$/);
+  if (!match || parseFloat(match[1]) <= 0) {
+    return null;
+  }
+  return { intervalMs: parseFloat(match[1]) * DCA_INTERVAL_UNITS[match[2]], intervalLabel: normalized };
+}
+
+// Running average cost of a DCA plan's fills
+function formatDcaSummary(plan) {
+  if (!plan.totalReceived) {
+    return `• Buys: 0${plan.times ? `/${plan.times}` : ''} | Skipped: ${plan.skipped}`;
+  }
+  const avgCost = plan.totalSpent / plan.totalReceived;
+  return `• Buys: ${plan.runs}${plan.times ? `/${plan.times}` : ''} | Skipped: ${plan.skipped}\n` +
+    `• Spent: ${plan.totalSpent.toFixed(4)} ${plan.quoteAsset} | Received: ${plan.totalReceived.toPrecision(6)} ${plan.baseAsset}\n` +
+    `• Avg cost: ${avgCost.toPrecision(6)} ${plan.quoteAsset} per ${plan.baseAsset}`;
+}
+
+function formatDcaPlan(plan) {
+  const statusEmoji = { active: '🔄', paused: '⏸️', completed: '✅', cancelled: '❌' }[plan.status] || '❔';
+  let text = `**#${plan.id}:** ${statusEmoji} BUY ${plan.amount} ${plan.asset} every ${plan.intervalLabel} on ${plan.platform}\n`;
+  text += `${formatDcaSummary(plan)}\n`;
+  if (plan.status === 'active') {
+    text += `• Next buy: ${new Date(plan.nextRunAt).toUTCString()}\n`;
+  }
+  return text;
+}
+
+bot.onText(/^\/dca\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+  const subcommand = (parts[1] || 'list').toLowerCase();
+
+  try {
+    if (subcommand === 'list' && parts.length <= 2) {
+      const plans = dcaStore.getUserOrders(telegramUserId).filter(plan => ['active', 'paused'].includes(plan.status));
+      if (plans.length === 0) {
+        bot.sendMessage(chatId, '📆 **Your DCA Plans:**\n\n❌ No active DCA plans.\n\nUsage: /dca <platform> <amount> <asset> every <interval> [times N]\n\nExamples:\n/dca solana 25 SOL every 1w\n/dca solana 10 BONK every day times 30\n/dca hyperliquid 0.01 ETH every 12h times 14');
+        return;
+      }
+
+      let message = '📆 **Your DCA Plans:**\n\n';
+      plans.forEach(plan => {
+        message += `${formatDcaPlan(plan)}\n`;
+      });
+      message += '💡 **Commands:**\n• /dca pause <id>\n• /dca resume <id>\n• /dca cancel <id>';
+      bot.sendMessage(chatId, message);
+      return;
+    }
+
+    if (['pause', 'resume', 'cancel'].includes(subcommand)) {
+      const planId = parts.length === 3 ? parseInt(parts[2]) : NaN;
+      const plan = isNaN(planId) ? null : dcaStore.findOrder(telegramUserId, planId);
+      const allowedFrom = { pause: ['active'], resume: ['paused'], cancel: ['active', 'paused'] }[subcommand];
+
+      if (!plan || !allowedFrom.includes(plan.status)) {
+        bot.sendMessage(chatId, `❌ No ${allowedFrom.join(' or ')} DCA plan #${parts[2] || '?'} found.\n\nUse /dca list to see your plans.`);
+        return;
+      }
+
+      if (subcommand === 'pause') {
+        dcaStore.update(plan, { status: 'paused' });
+      } else if (subcommand === 'resume') {
+        // A plan resumed after its slot passed buys at the next check
+        dcaStore.update(plan, { status: 'active', nextRunAt: Math.max(plan.nextRunAt, Date.now()) });
+      } else {
+        dcaStore.update(plan, { status: 'cancelled', cancelledAt: new Date() });
+      }
+
+      bot.sendMessage(chatId, `✅ DCA plan #${plan.id} ${{ pause: 'paused', resume: 'resumed', cancel: 'cancelled' }[subcommand]}.\n\n${formatDcaPlan(plan)}`);
+      return;
+    }
+
+    // /dca <platform> <amount> <asset...> every <interval> [times N]
+    const platform = subcommand;
+    const everyIndex = parts.findIndex(part => part.toLowerCase() === 'every');
+    if (parts.length < 6 || everyIndex < 4) {
+      bot.sendMessage(chatId, 'Usage: /dca <platform> <amount> <asset> every <interval> [times N]\n\nIntervals: 12h, 1d, 1w, hour, day, week\n\nExamples:\n/dca solana 25 SOL every 1w\n/dca solana 10 BONK with USDT every day times 30\n/dca hyperliquid 0.01 ETH every 12h times 14\n\nManage: /dca list, /dca pause|resume|cancel <id>');
+      return;
+    }
+
+    if (!['solana', 'hyperliquid'].includes(platform)) {
+      bot.sendMessage(chatId, '❌ Invalid platform. Supported: solana, hyperliquid');
+      return;
+    }
+
+    const amount = parts[2];
+    const asset = parts.slice(3, everyIndex).join(' ');
+    if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      bot.sendMessage(chatId, '❌ Invalid amount. Must be a positive number.');
+      return;
+    }
+
+    const interval = parseDcaInterval(parts[everyIndex + 1] || '');
+    if (!interval || interval.intervalMs < DCA_INTERVAL_UNITS.h) {
+      bot.sendMessage(chatId, '❌ Invalid interval. Use at least 1h, e.g. 12h, 1d, 1w, day or week.');
+      return;
+    }
+
+    let times = null;
+    const rest = parts.slice(everyIndex + 2);
+    if (rest.length > 0) {
+      times = rest.length === 2 && rest[0].toLowerCase() === 'times' ? parseInt(rest[1]) : NaN;
+      if (isNaN(times) || times <= 0) {
+        bot.sendMessage(chatId, '❌ Invalid repeat count. Use: times <N>');
+        return;
+      }
+    }
+
+    // Resolve the asset now so typos fail here rather than at the first buy
+    let baseAsset;
+    let quoteAsset;
+    if (platform === 'solana') {
+      const { baseToken, quoteToken } = await solanaTrading.resolveAssetPair(asset);
+      baseAsset = baseToken.symbol;
+      quoteAsset = quoteToken.symbol;
+    } else {
+      const marketData = await hyperliquidTrading.getMarketData(asset);
+      if (!marketData) {
+        bot.sendMessage(chatId, `❌ Asset ${asset} not found on Hyperliquid.`);
+        return;
+      }
+      baseAsset = marketData.name;
+      quoteAsset = 'USD';
+    }
+
+    const wallet = await getOrCreateWallet(telegramUserId, platform === 'solana' ? 'solana' : 'ethereum');
+    const plan = dcaStore.add(telegramUserId, {
+      platform,
+      action: 'buy',
+      amount,
+      asset: platform === 'hyperliquid' ? baseAsset : asset,
+      baseAsset,
+      quoteAsset,
+      ...interval,
+      times,
+      runs: 0,
+      skipped: 0,
+      totalSpent: 0,
+      totalReceived: 0,
+      status: 'active',
+      createdAt: new Date(),
+      nextRunAt: Date.now(), // First buy goes out at the next check
+      walletId: wallet.id,
+      chatId
+    });
+
+    const amountLabel = platform === 'solana' ? `${amount} ${quoteAsset} of ${baseAsset}` : `${amount} ${baseAsset}`;
+    bot.sendMessage(chatId, `✅ **DCA Plan Created!**\n\n📋 **Plan #${plan.id}:**\n• BUY ${amountLabel} every ${interval.intervalLabel}\n• ${times ? `${times} buys` : 'Runs until cancelled'}\n• Platform: ${platform}\n• First buy: within a minute\n\n💡 Buys are skipped (not retried) when the balance is too low.\n\nUse /dca list to track the average cost.\nUse /dca pause|resume|cancel ${plan.id} to manage it.`);
+
+  } catch (error) {
+    console.error('Error handling DCA command:', error);
+    bot.sendMessage(chatId, `❌ DCA error: ${error.message}`);
+  }
+});
+
+// TWAP durations: "<n>m", "<n>h" or "<n>d"
+const TWAP_DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseTwapDuration(value) {
+  const match = value.toLowerCase().match(/^(\d*\.?\d+)([mhd])$/);
+  return match ? parseFloat(match[1]) * TWAP_DURATION_UNITS[match[2]] : null;
+}
+
+// Progress and volume-weighted fill price of a TWAP order
+function formatTwapProgress(twap) {
+  const vwap = twap.filledSize > 0 ? twap.filledNotional / twap.filledSize : null;
+  let text = `• Slices: ${twap.slicesDone}/${twap.slices} done | ${twap.slicesSkipped} skipped (impact > ${twap.maxImpactPct}%)\n`;
+  text += `• Filled: ${twap.filledSize.toPrecision(6)} ${twap.baseAsset}`;
+  text += vwap ? ` @ VWAP ${vwap.toPrecision(6)} ${twap.quoteAsset}\n` : '\n';
+  return text;
+}
+
+bot.onText(/^\/twap\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+  const subcommand = (parts[1] || 'list').toLowerCase();
+  const usage = 'Usage: /twap <platform> <buy|sell> <amount> <asset> over <duration> [slices N] [impact=<x%>]\n\nDurations: 30m, 2h, 1d\n\nExamples:\n/twap solana buy 5000 SOL over 2h\n/twap solana sell 50000000 BONK over 1h slices 20\n/twap hyperliquid buy 2 BTC over 30m slices 10 impact=0.5%\n\nManage: /twap list, /twap cancel <id>';
+
+  try {
+    if (subcommand === 'list' && parts.length <= 2) {
+      const twaps = twapStore.getUserOrders(telegramUserId).filter(twap => twap.status === 'active');
+      if (twaps.length === 0) {
+        bot.sendMessage(chatId, `⏱️ **Your TWAP Orders:**\n\n❌ No running TWAP orders.\n\n${usage}`);
+        return;
+      }
+
+      let message = '⏱️ **Your TWAP Orders:**\n\n';
+      twaps.forEach(twap => {
+        message += `**#${twap.id}:** ${twap.action.toUpperCase()} ${twap.amount} ${twap.asset} on ${twap.platform}\n`;
+        message += formatTwapProgress(twap);
+        message += `• Next slice: ${new Date(twap.nextRunAt).toUTCString()}\n\n`;
+      });
+      message += '💡 Use /twap cancel <id> to stop the remaining slices.';
+      bot.sendMessage(chatId, message);
+      return;
+    }
+
+    if (subcommand === 'cancel') {
+      const twapId = parts.length === 3 ? parseInt(parts[2]) : NaN;
+      const twap = isNaN(twapId) ? null : twapStore.findOrder(telegramUserId, twapId);
+
+      if (!twap || twap.status !== 'active') {
+        bot.sendMessage(chatId, `❌ Running TWAP #${parts[2] || '?'} not found.\n\nUse /twap list to see your TWAP orders.`);
+        return;
+      }
+
+      twapStore.update(twap, { status: 'cancelled', cancelledAt: new Date() });
+      bot.sendMessage(chatId, `🛑 **TWAP #${twap.id} Cancelled**\n\n${formatTwapProgress(twap)}\nRemaining slices will not be sent.`);
+      return;
+    }
+
+    // /twap <platform> <side> <amount> <asset...> over <duration> [slices N] [impact=x%]
+    const platform = subcommand;
+    const overIndex = parts.findIndex(part => part.toLowerCase() === 'over');
+    if (parts.length < 7 || overIndex < 5) {
+      bot.sendMessage(chatId, usage);
+      return;
+    }
+
+    const action = parts[2].toLowerCase();
+    const amount = parseFloat(parts[3]);
+    const asset = parts.slice(4, overIndex).join(' ');
+    const durationMs = parseTwapDuration(parts[overIndex + 1] || '');
+
+    if (!['solana', 'hyperliquid'].includes(platform)) {
+      bot.sendMessage(chatId, '❌ Invalid platform. Supported: solana, hyperliquid');
+      return;
+    }
+    if (!['buy', 'sell'].includes(action)) {
+      bot.sendMessage(chatId, '❌ Invalid action. Supported: buy, sell');
+      return;
+    }
+    if (isNaN(amount) || amount <= 0) {
+      bot.sendMessage(chatId, '❌ Invalid amount. Must be a positive number.');
+      return;
+    }
+    if (!durationMs) {
+      bot.sendMessage(chatId, '❌ Invalid duration. Use e.g. 30m, 2h or 1d.');
+      return;
+    }
+
+    // Default to one slice every 5 minutes, between 2 and 50 slices
+    let slices = Math.min(50, Math.max(2, Math.round(durationMs / (5 * 60 * 1000))));
+    let maxImpactPct = TWAP_MAX_PRICE_IMPACT_PCT;
+    const options = parts.slice(overIndex + 2);
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toLowerCase();
+      if (option === 'slices') {
+        slices = parseInt(options[++i]);
+      } else if (option.startsWith('impact=')) {
+        maxImpactPct = parseFloat(option.slice('impact='.length).replace('%', ''));
+      } else {
+        bot.sendMessage(chatId, `❌ Unrecognised option "${options[i]}".\n\n${usage}`);
+        return;
+      }
+    }
+
+    if (isNaN(slices) || slices < 2 || slices > 100) {
+      bot.sendMessage(chatId, '❌ Slices must be between 2 and 100.');
+      return;
+    }
+    if (isNaN(maxImpactPct) || maxImpactPct <= 0) {
+      bot.sendMessage(chatId, '❌ Invalid impact limit. Use e.g. impact=0.5%');
+      return;
+    }
+    if (durationMs / slices < 30 * 1000) {
+      bot.sendMessage(chatId, '❌ Slices must be at least 30 seconds apart. Use fewer slices or a longer duration.');
+      return;
+    }
+
+    // Resolve the asset now so typos fail before the first slice
+    let baseAsset;
+    let quoteAsset;
+    if (platform === 'solana') {
+      const { baseToken, quoteToken } = await solanaTrading.resolveAssetPair(asset);
+      baseAsset = baseToken.symbol;
+      quoteAsset = quoteToken.symbol;
+    } else {
+      const marketData = await hyperliquidTrading.getMarketData(asset);
+      if (!marketData) {
+        bot.sendMessage(chatId, `❌ Asset ${asset} not found on Hyperliquid.`);
+        return;
+      }
+      baseAsset = marketData.name;
+      quoteAsset = 'USD';
+    }
+
+    const wallet = await getOrCreateWallet(telegramUserId, platform === 'solana' ? 'solana' : 'ethereum');
+    const twap = twapStore.add(telegramUserId, {
+      platform,
+      action,
+      amount,
+      asset: platform === 'hyperliquid' ? baseAsset : asset,
+      baseAsset,
+      quoteAsset,
+      slices,
+      sliceAmount: amount / slices,
+      sliceIntervalMs: durationMs / slices,
+      maxImpactPct,
+      slicesDone: 0,
+      slicesSkipped: 0,
+      filledSize: 0,
+      filledNotional: 0,
+      status: 'active',
+      createdAt: new Date(),
+      nextRunAt: Date.now(),
+      walletId: wallet.id,
+      chatId
+    });
+
+    const amountUnit = platform === 'solana' ? (action === 'buy' ? quoteAsset : baseAsset) : baseAsset;
+    bot.sendMessage(chatId, `✅ **TWAP Order Started!**\n\n📋 **TWAP #${twap.id}:**\n• ${action.toUpperCase()} ${amount} ${amountUnit}${platform === 'solana' ? ` (${baseAsset})` : ''} over ${parts[overIndex + 1]}\n• ${slices} slices of ${twap.sliceAmount.toPrecision(6)} every ${Math.round(twap.sliceIntervalMs / 1000)}s\n• Skip slices with price impact > ${maxImpactPct}%\n• Platform: ${platform}\n\nUse /twap list to follow progress.\nUse /twap cancel ${twap.id} to stop it.`);
+
+  } catch (error) {
+    console.error('Error handling TWAP command:', error);
+    bot.sendMessage(chatId, `❌ TWAP error: ${error.message}`);
+  }
+});
+
+bot.onText(/^\/orders\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+
+  try {
+    const userOrders = orderStore.getUserOrders(telegramUserId);
+
+    // Live Hyperliquid order state straight from the exchange
+    let liveOrders = [];
+    try {
+      const ethereumWallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+      const nativeOrders = userOrders.filter(isExchangeOrder);
+      const synced = await syncHyperliquidOrders(ethereumWallet.id, nativeOrders);
+      liveOrders = synced.liveOrders;
+      synced.changed.forEach(handleHyperliquidOrderUpdate);
+    } catch (error) {
+      console.error('Error fetching Hyperliquid open orders:', error);
+    }
+    const liveByOid = new Map(liveOrders.map(order => [order.oid, order]));
+
+    // Fill state of Polymarket orders resting on the CLOB
+    let clobState = new Map();
+    try {
+      const { liveState, changed } = await syncPolymarketOrders(userOrders);
+      clobState = liveState;
+      changed.forEach(notifyPolymarketOrderUpdate);
+    } catch (error) {
+      console.error('Error fetching Polymarket order state:', error);
+    }
+
+    if (userOrders.length === 0 && liveOrders.length === 0) {
+      bot.sendMessage(chatId, '📋 **Your Limit Orders:**\n\n❌ No active limit orders found.\n\nCreate one with: /limit <platform> <action> <amount> <asset> <price>');
+      return;
+    }
+
+    let message = '📋 **Your Limit Orders:**\n\n';
+    userOrders.forEach(order => {
+      const statusEmoji = order.status === 'active' ? '🔄' : order.status === 'pending' ? '⏳' : order.status === 'executed' ? '✅' : order.status === 'expired' ? '⌛' : order.status === 'executing' ? '⚙️' : '❌';
+      if (order.type === 'tp' || order.type === 'sl') {
+        message += `**#${order.id}:** ${statusEmoji} ${order.type === 'tp' ? '🎯 TP' : '🛑 SL'} ${order.action.toUpperCase()} ${order.amount} ${order.asset} trigger $${order.targetPrice} (${order.isMarket ? 'market' : `limit $${order.limitPrice}`})\n`;
+        message += `   Platform: ${order.platform} | Status: ${order.status}${order.status === 'active' && !order.oid ? ' (waiting for entry fill)' : ''}\n`;
+      } else if (order.type === 'stop') {
+        message += `**#${order.id}:** ${statusEmoji} 🛑 STOP ${order.action.toUpperCase()} ${order.amount} ${order.asset} when ≤ $${order.targetPrice}\n`;
+        message += `   Platform: ${order.platform} | Status: ${order.status}\n`;
+      } else if (order.type === 'trailing') {
+        message += `**#${order.id}:** ${statusEmoji} 📉 TRAIL ${order.action.toUpperCase()} ${order.amount} ${order.asset} (${describeTrailDistance(order)} below high)\n`;
+        message += `   Trigger: $${order.targetPrice.toPrecision(6)} | High: $${order.highWaterMark.toPrecision(6)}\n`;
+        message += `   Platform: ${order.platform} | Status: ${order.status}\n`;
+      } else {
+        message += `**#${order.id}:** ${statusEmoji} ${order.action.toUpperCase()} ${order.amount} ${order.asset} @ ${formatOrderPrice(order)}\n`;
+        message += `   Platform: ${order.platform} | Status: ${order.status}\n`;
+      }
+
+      if (order.parentId) {
+        message += `   🔗 Bracket exit of #${order.parentId}${order.status === 'pending' ? ' (arms when it fills)' : ''}\n`;
+      }
+      if ((order.childOrderIds || []).length > 0) {
+        message += `   🔗 Bracket entry → exits ${order.childOrderIds.map(id => `#${id}`).join(', ')}\n`;
+      }
+      if ((order.linkedOrderIds || []).length > 0) {
+        message += `   🔗 OCO with ${order.linkedOrderIds.map(id => `#${id}`).join(', ')}\n`;
+      }
+
+      const liveOrder = order.oid ? liveByOid.get(order.oid) : null;
+      if (liveOrder) {
+        const filledSize = parseFloat(liveOrder.origSz) - parseFloat(liveOrder.sz);
+        message += `   📖 On book: ${liveOrder.sz}/${liveOrder.origSz} remaining (${filledSize} filled) | OID ${order.oid}\n`;
+      }
+      if (isClobOrder(order) && order.status === 'active') {
+        const clobOrder = clobState.get(order.id);
+        const filledLine = clobOrder ? `${clobOrder.sizeMatched}/${clobOrder.originalSize || order.amount} filled | ` : '';
+        const goodTill = order.goodTillAt ? ` until ${new Date(order.goodTillAt).toUTCString()}` : '';
+        message += `   📖 On CLOB (${order.orderType}${goodTill}): ${filledLine}ID ${order.clobOrderId}\n`;
+      }
+      message += '\n';
+    });
+
+    // Orders resting on Hyperliquid that were not placed through the bot
+    const trackedOids = new Set(userOrders.map(order => order.oid).filter(Boolean));
+    const untrackedOrders = liveOrders.filter(order => !trackedOids.has(order.oid));
+    if (untrackedOrders.length > 0) {
+      message += '📖 **Other Hyperliquid open orders:**\n';
+      untrackedOrders.forEach(order => {
+        const trigger = order.isTrigger ? ` (${order.orderType} trigger $${order.triggerPx})` : '';
+        message += `• ${order.side === 'B' ? 'BUY' : 'SELL'} ${order.sz} ${order.coin} @ $${order.limitPx}${trigger} | OID ${order.oid}\n`;
+      });
+      message += '\n';
+    }
+
+    message += '💡 **Commands:**\n• /cancel <order_id> - Cancel order (and its linked orders)\n• /limit - Create new order\n• /stop, /trail - Protect a Solana holding\n• /oco, /bracket - Linked TP/SL orders';
+
+    bot.sendMessage(chatId, message);
+
+  } catch (error) {
+    console.error('Error getting orders:', error);
+    bot.sendMessage(chatId, '❌ Error retrieving orders.');
+  }
+});
+
+bot.onText(/\/cancel/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const text = msg.text;
+  const parts = text.split(' ');
+
+  if (parts.length < 2) {
+    bot.sendMessage(chatId, 'Usage: /cancel <order_id>\n\nExample: /cancel 1\n\nUse /orders to see your order IDs.');
+    return;
+  }
+
+  const orderId = parseInt(parts[1]);
+
+  try {
+    const order = orderStore.findOrder(telegramUserId, orderId);
+
+    if (!order) {
+      bot.sendMessage(chatId, `❌ Order #${orderId} not found.\n\nUse /orders to see your active orders.`);
+      return;
+    }
+
+    if (!['active', 'pending'].includes(order.status)) {
+      bot.sendMessage(chatId, `❌ Cannot cancel order #${orderId} - status: ${order.status}`);
+      return;
+    }
+
+    // Bracket exits go with their entry; cancelling the entry on the exchange drops them there
+    const linkedOrders = getLinkedOpenOrders(order);
+    const isBracketEntry = (order.childOrderIds || []).length > 0;
+
+    // Native Hyperliquid orders must be cancelled on the exchange first
+    if (isExchangeOrder(order) && !order.oid) {
+      const { changed } = await syncHyperliquidOrders(order.walletId, [order]);
+      changed.forEach(handleHyperliquidOrderUpdate);
+    }
+    if (isExchangeOrder(order) && !order.oid) {
+      bot.sendMessage(chatId, `❌ Order #${orderId} is not on the exchange book yet (waiting for its entry to fill).${order.parentId ? ` Cancel entry #${order.parentId} to drop the whole bracket,` : ''} Try again once the entry has filled.`);
+      return;
+    }
+    if (isExchangeOrder(order)) {
+      const result = await hyperliquidTrading.cancelOrder(order.walletId, order.asset, order.oid);
+
+      if (!result.success) {
+        // The order may have filled or been cancelled elsewhere in the meantime
+        const { changed } = await syncHyperliquidOrders(order.walletId, [order]);
+        changed.forEach(handleHyperliquidOrderUpdate);
+        bot.sendMessage(chatId, `❌ Failed to cancel order #${orderId} on Hyperliquid: ${result.error}\n\nCurrent status: ${order.status}`);
+        return;
+      }
+    }
+
+    if (isClobOrder(order)) {
+      const result = await polymarketTrading.cancelOrder(order.walletId, order.clobOrderId);
+
+      if (!result.success) {
+        // The order may have filled or expired on the CLOB in the meantime
+        const { changed } = await syncPolymarketOrders([order]);
+        changed.forEach(notifyPolymarketOrderUpdate);
+        bot.sendMessage(chatId, `❌ Failed to cancel order #${orderId} on Polymarket: ${result.error}\n\nCurrent status: ${order.status}`);
+        return;
+      }
+
+      // Shares matched before the cancel still count as a fill
+      const clobOrder = await polymarketTrading.getOrder(order.walletId, order.clobOrderId).catch(() => null);
+      if (clobOrder && clobOrder.sizeMatched > 0) {
+        orderStore.update(order, { filledAmount: clobOrder.sizeMatched });
+        recordPolymarketFill(order, clobOrder.sizeMatched);
+      }
+    }
+
+    // Mark as cancelled
+    orderStore.update(order, { status: 'cancelled', cancelledAt: new Date() });
+
+    // Then the linked orders: OCO siblings and bracket children
+    const linkedLines = [];
+    for (const linked of linkedOrders) {
+      let result = { success: true };
+      if (isBracketEntry && isExchangeOrder(linked) && !linked.oid) {
+        // Never armed: the exchange dropped it with the entry
+        orderStore.update(linked, { status: 'cancelled', cancelledAt: new Date(), cancelReason: `entry #${order.id} cancelled` });
+      } else {
+        result = await cancelTrackedOrder(linked, `linked order #${order.id} cancelled`);
+      }
+      linkedLines.push(result.success ? `• #${linked.id} cancelled` : `• ⚠️ #${linked.id} not cancelled: ${result.error}`);
+    }
+
+    bot.sendMessage(chatId, `✅ **Order Cancelled!**\n\n📋 **Order #${orderId}:**\n• ${order.action.toUpperCase()} ${order.amount ?? ''} ${order.asset} @ ${formatOrderPrice(order)}\n• Status: ❌ Cancelled${linkedLines.length > 0 ? `\n\n🔗 **Linked orders:**\n${linkedLines.join('\n')}` : ''}`);
+
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    bot.sendMessage(chatId, '❌ Error cancelling order.');
+  }
+});
+
+// Short form of a CLOB order ID for display; /pmorders accepts any unique prefix
+function shortClobOrderId(orderId) {
+  return orderId.slice(0, 10);
+}
+
+// Find an open CLOB order by full ID or unique prefix. Returns { order } or { error }
+function findClobOrder(openOrders, ref) {
+  const needle = ref.toLowerCase();
+  const matches = openOrders.filter(order => order.id.toLowerCase().startsWith(needle));
+
+  if (matches.length === 1 && needle.length >= 6) {
+    return { order: matches[0] };
+  }
+  if (matches.length > 1) {
+    return { error: `❌ Order ID "${ref}" matches ${matches.length} orders. Use more characters.` };
+  }
+  return { error: `❌ No open Polymarket order matches "${ref}" (use at least 6 characters).\n\nUse /pmorders to see your open orders.` };
+}
+
+// After orders were cancelled or replaced outside /cancel, bring the bot's
+// tracked copies (from /limit polymarket) in line with the CLOB
+async function syncTrackedClobOrders(telegramUserId, clobOrderIds) {
+  const ids = new Set(clobOrderIds);
+  const tracked = orderStore.getUserOrders(telegramUserId)
+    .filter(order => order.status === 'active' && isClobOrder(order) && ids.has(order.clobOrderId));
+
+  if (tracked.length > 0) {
+    await syncPolymarketOrders(tracked);
+  }
+}
+
+// One /pmorders entry: side, size, price, market and fill progress
+function formatClobOrderLine(order, questions, trackedByClobId) {
+  const tracked = trackedByClobId.get(order.id);
+  const pct = order.originalSize > 0 ? (order.sizeMatched / order.originalSize * 100).toFixed(0) : 0;
+  const expiry = order.expiration ? ` until ${new Date(order.expiration * 1000).toUTCString()}` : '';
+
+  let line = `**${shortClobOrderId(order.id)}**${tracked ? ` (bot order #${tracked.id})` : ''}: ${order.side.toUpperCase()} ${order.originalSize} ${order.outcome} @ ${formatAlertPrice('polymarket', order.price)}\n`;
+  line += `   ${questions.get(order.conditionId) || order.conditionId}\n`;
+  line += `   Filled: ${order.sizeMatched}/${order.originalSize} (${pct}%) | ${order.orderType}${expiry}\n`;
+  return line;
+}
+
+bot.onText(/^\/pmorders\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const args = msg.text.split(' ').slice(1).filter(Boolean);
+  const subcommand = (args[0] || 'list').toLowerCase();
+
+  if (!['list', 'cancel', 'amend'].includes(subcommand)) {
+    bot.sendMessage(chatId, 'Usage:\n/pmorders - List open Polymarket CLOB orders\n/pmorders cancel <order_id>\n/pmorders cancel market "<market>"\n/pmorders cancel all\n/pmorders amend <order_id> <price¢>\n\nOrder IDs can be shortened to the first 6+ characters shown in /pmorders.\n\nExample: /pmorders amend 0x3fa9c1 44¢');
+    return;
+  }
+
+  try {
+    const wallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+
+    if (subcommand === 'cancel') {
+      const target = (args[1] || '').toLowerCase();
+      if (!target) {
+        bot.sendMessage(chatId, '❌ Usage: /pmorders cancel <order_id|all> or /pmorders cancel market "<market>"');
+        return;
+      }
+
+      let result;
+      let scope;
+      if (target === 'all') {
+        result = await polymarketTrading.cancelAllOrders(wallet.id);
+        scope = 'all markets';
+      } else if (target === 'market') {
+        const query = msg.text.replace(/^\/pmorders\S*\s+cancel\s+market\s*/i, '').replace(/^["“]|["”]$/g, '').trim();
+        if (!query) {
+          bot.sendMessage(chatId, '❌ Usage: /pmorders cancel market "<market>"');
+          return;
+        }
+
+        const { market, candidates } = await polymarketTrading.resolveMarkets(query);
+        if (!market) {
+          bot.sendMessage(chatId, candidates.length > 0
+            ? polymarketTrading.formatMarketPickList(candidates, '/pmorders cancel market')
+            : `❌ Market not found: "${query}".`);
+          return;
+        }
+
+        result = await polymarketTrading.cancelMarketOrders(wallet.id, market.conditionId);
+        scope = market.question;
+      } else {
+        const found = findClobOrder(await polymarketTrading.getOpenOrders(wallet.id), args[1]);
+        if (found.error) {
+          bot.sendMessage(chatId, found.error);
+          return;
+        }
+
+        result = await polymarketTrading.cancelOrder(wallet.id, found.order.id);
+        scope = `order ${shortClobOrderId(found.order.id)}`;
+      }
+
+      if (!result.success) {
+        bot.sendMessage(chatId, `❌ Failed to cancel Polymarket orders (${scope}): ${result.error}`);
+        return;
+      }
+
+      await syncTrackedClobOrders(telegramUserId, result.cancelled);
+
+      const failedLines = result.failed.map(([id, reason]) => `• ⚠️ ${shortClobOrderId(id)}: ${reason}`).join('\n');
+      bot.sendMessage(chatId, `✅ **Polymarket Orders Cancelled**\n\n• Scope: ${scope}\n• Cancelled: ${result.cancelled.length}${result.cancelled.length > 0 ? `\n${result.cancelled.map(id => `  ${shortClobOrderId(id)}`).join('\n')}` : ''}${failedLines ? `\n\n**Not cancelled:**\n${failedLines}` : ''}`);
+      return;
+    }
+
+    if (subcommand === 'amend') {
+      const price = args[2] ? parsePolymarketPrice(args[2]) : null;
+      if (!args[1] || !price) {
+        bot.sendMessage(chatId, '❌ Usage: /pmorders amend <order_id> <price¢>\n\nExample: /pmorders amend 0x3fa9c1 44¢');
+        return;
+      }
+
+      const found = findClobOrder(await polymarketTrading.getOpenOrders(wallet.id), args[1]);
+      if (found.error) {
+        bot.sendMessage(chatId, found.error);
+        return;
+      }
+
+      const result = await polymarketTrading.amendOrder(wallet.id, found.order.id, price);
+      const tracked = orderStore.getUserOrders(telegramUserId)
+        .find(order => order.status === 'active' && isClobOrder(order) && order.clobOrderId === found.order.id);
+
+      if (!result.success) {
+        if (result.replaced === false) {
+          // The original is gone but its replacement was rejected
+          if (tracked) {
+            await syncPolymarketOrders([tracked]);
+          }
+          const previous = result.previous;
+          bot.sendMessage(chatId, `⚠️ **Order ${shortClobOrderId(found.order.id)} was cancelled, but the replacement failed:** ${result.error}\n\nThe original order is gone and nothing rests on the book for it now.\n• To re-post: ${previous.side.toUpperCase()} ${result.remaining} ${previous.outcome} shares at ${formatAlertPrice('polymarket', price)}\n\nPlace it again with /limit polymarket.`);
+        } else {
+          bot.sendMessage(chatId, `❌ Failed to amend order ${shortClobOrderId(found.order.id)}: ${result.error}`);
+        }
+        return;
+      }
+
+      // The bot's copy follows the order to its new CLOB ID; earlier fills are booked now
+      if (tracked) {
+        if (result.previous.sizeMatched > 0) {
+          recordPolymarketFill(tracked, result.previous.sizeMatched);
+        }
+        orderStore.update(tracked, {
+          clobOrderId: result.orderId,
+          targetPrice: result.executedPrice,
+          tickSize: result.tickSize,
+          amount: String(result.remaining)
+        });
+        if (result.status === 'matched') {
+          orderStore.update(tracked, { status: 'executed', executedAt: new Date(), executedPrice: result.executedPrice });
+          recordPolymarketFill(tracked, result.remaining);
+        }
+      }
+
+      bot.sendMessage(chatId, `✅ **Polymarket Order Amended**\n\n• ${result.previous.side.toUpperCase()} ${result.remaining} ${result.previous.outcome} shares\n• Price: ${formatAlertPrice('polymarket', result.previous.price)} → ${formatAlertPrice('polymarket', result.executedPrice)}\n• Old order: ${shortClobOrderId(result.previous.id)} (cancelled${result.previous.sizeMatched > 0 ? `, ${result.previous.sizeMatched} filled` : ''})\n• New order: ${shortClobOrderId(result.orderId)}${result.status === 'matched' ? ' ✅ filled immediately' : ''}`);
+      return;
+    }
+
+    const openOrders = await polymarketTrading.getOpenOrders(wallet.id);
+    if (openOrders.length === 0) {
+      bot.sendMessage(chatId, '📖 **Polymarket Open Orders:**\n\n❌ No open orders on the CLOB.\n\nPlace one with: /limit polymarket <buy|sell> <shares> <outcome> <price¢> "<market>"');
+      return;
+    }
+
+    // Market questions for display, one lookup per market
+    const questions = new Map();
+    for (const conditionId of new Set(openOrders.map(order => order.conditionId))) {
+      try {
+        const market = await polymarketTrading.getMarketByConditionId(conditionId);
+        if (market) {
+          questions.set(conditionId, market.question);
+        }
+      } catch (error) {
+        console.error(`Error loading Polymarket market ${conditionId}:`, error.message);
+      }
+    }
+
+    const trackedByClobId = new Map(orderStore.getUserOrders(telegramUserId)
+      .filter(isClobOrder)
+      .map(order => [order.clobOrderId, order]));
+
+    let message = `📖 **Polymarket Open Orders (${openOrders.length}):**\n\n`;
+    openOrders.forEach(order => {
+      message += formatClobOrderLine(order, questions, trackedByClobId) + '\n';
+    });
+    message += '💡 **Commands:**\n• /pmorders cancel <order_id> | all\n• /pmorders cancel market "<market>"\n• /pmorders amend <order_id> <price¢>';
+
+    bot.sendMessage(chatId, message);
+
+  } catch (error) {
+    console.error('Error handling /pmorders:', error);
+    bot.sendMessage(chatId, `❌ Error managing Polymarket orders: ${error.message}`);
+  }
+});
+
+bot.onText(/^\/redeem\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const target = (msg.text.split(' ').filter(Boolean)[1] || '').toLowerCase();
+
+  try {
+    // Pick up anything that resolved since the last background check
+    const wallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+    await checkUserResolutions(telegramUserId, wallet);
+
+    const unredeemed = resolutionStore.getUserOrders(telegramUserId).filter(r => r.status === 'active');
+
+    if (!target) {
+      if (unredeemed.length === 0) {
+        bot.sendMessage(chatId, '💰 **Polymarket Winnings:**\n\n✅ Nothing to redeem. You will be notified when a market you hold resolves.');
+        return;
+      }
+
+      let message = '💰 **Unredeemed Polymarket Winnings:**\n\n';
+      unredeemed.forEach(r => {
+        message += `**#${r.id}:** ${r.outcome} · ${r.marketQuestion}\n   ${r.shares.toFixed(2)} shares → $${r.payout.toFixed(2)}${r.lastError ? ` (last attempt: ${r.lastError})` : ''}\n\n`;
+      });
+      message += '💡 /redeem <id> or /redeem all\n💡 /settings autoredeem on to redeem automatically';
+      bot.sendMessage(chatId, message);
+      return;
+    }
+
+    const records = target === 'all'
+      ? unredeemed
+      : unredeemed.filter(r => r.id === parseInt(target));
+    if (records.length === 0) {
+      bot.sendMessage(chatId, `❌ Nothing to redeem for "${target}".\n\nUse /redeem to see unredeemed winnings.`);
+      return;
+    }
+
+    // One transaction per market
+    const markets = [...new Map(records.map(r => [r.conditionId, r])).values()];
+    bot.sendMessage(chatId, `🔄 Redeeming ${markets.length} market${markets.length === 1 ? '' : 's'} on Polygon...`);
+    for (const record of markets) {
+      await redeemAndNotify(record, chatId);
+    }
+  } catch (error) {
+    console.error('Error redeeming Polymarket winnings:', error);
+    bot.sendMessage(chatId, `❌ Error redeeming winnings: ${error.message}`);
+  }
+});
+
+// Redeem button on a resolution notification
+async function handleRedeemCallback(query) {
+  const recordId = parseInt(query.data.split(':')[1]);
+  const record = resolutionStore.findOrder(query.from.id, recordId);
+
+  if (!record || record.status !== 'active') {
+    bot.answerCallbackQuery(query.id, { text: record ? `Already ${record.status}` : 'Not found' });
+    return;
+  }
+
+  bot.answerCallbackQuery(query.id, { text: 'Redeeming...' });
+  bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id
+  }).catch(error => console.error('Error clearing redeem button:', error.message));
+
+  await redeemAndNotify(record, query.message.chat.id);
+}
+
+bot.onText(/^\/leverage\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+
+  if (parts.length < 3 || parts.length > 4) {
+    bot.sendMessage(chatId, 'Usage: /leverage <asset> <x> [cross|isolated]\n\nExamples:\n/leverage BTC 10\n/leverage ETH 5 isolated\n\n💡 Defaults to cross margin. Leverage is capped at the asset\'s max leverage.');
+    return;
+  }
+
+  const asset = parts[1].toUpperCase();
+  const leverage = parseInt(parts[2].replace(/x$/i, ''));
+  const marginMode = (parts[3] || 'cross').toLowerCase();
+
+  if (isNaN(leverage) || leverage < 1) {
+    bot.sendMessage(chatId, '❌ Invalid leverage. Must be a whole number of at least 1.');
+    return;
+  }
+
+  if (!['cross', 'isolated'].includes(marginMode)) {
+    bot.sendMessage(chatId, '❌ Invalid margin mode. Supported: cross, isolated');
+    return;
+  }
+
+  try {
+    const wallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+    const result = await hyperliquidTrading.updateLeverage(wallet.id, asset, leverage, marginMode === 'cross');
+
+    if (result.success) {
+      bot.sendMessage(chatId, `✅ **Leverage Updated!**\n\n📊 **${result.asset}:** ${result.leverage}x ${result.marginMode}\n• Max leverage: ${result.maxLeverage}x\n\nNew ${result.asset} positions will use this setting.`);
+    } else {
+      bot.sendMessage(chatId, `❌ Failed to update leverage: ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Error updating leverage:', error);
+    bot.sendMessage(chatId, `❌ Error updating leverage: ${error.message}`);
+  }
+});
+
+bot.onText(/^\/margin\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+
+  if (parts.length !== 4) {
+    bot.sendMessage(chatId, 'Usage: /margin <asset> <add|remove> <usd>\n\nExamples:\n/margin BTC add 50\n/margin ETH remove 25\n\n💡 Only works on open isolated-margin positions.');
+    return;
+  }
+
+  const asset = parts[1].toUpperCase();
+  const direction = parts[2].toLowerCase();
+  const amount = parseFloat(parts[3]);
+
+  if (!['add', 'remove'].includes(direction)) {
+    bot.sendMessage(chatId, '❌ Invalid action. Supported: add, remove');
+    return;
+  }
+
+  if (isNaN(amount) || amount <= 0) {
+    bot.sendMessage(chatId, '❌ Invalid amount. Must be a positive number.');
+    return;
+  }
+
+  try {
+    const wallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+    const result = await hyperliquidTrading.updateIsolatedMargin(wallet.id, asset, direction === 'add' ? amount : -amount);
+
+    if (result.success) {
+      bot.sendMessage(chatId, `✅ **Isolated Margin Updated!**\n\n📊 **${result.asset}:** ${direction === 'add' ? 'Added' : 'Removed'} $${amount.toFixed(2)}\n• Previous margin: $${result.previousMargin.toFixed(2)}\n\nUse /positions to see the new liquidation price.`);
+    } else {
+      bot.sendMessage(chatId, `❌ Failed to update margin: ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Error updating margin:', error);
+    bot.sendMessage(chatId, `❌ Error updating margin: ${error.message}`);
+  }
+});
+
+// Shared handler for /tp and /sl on an open Hyperliquid position
+async function handleTpslCommand(msg, tpsl) {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ');
+  const label = tpsl === 'tp' ? 'Take-Profit' : 'Stop-Loss';
+
+  if (parts.length < 3) {
+    bot.sendMessage(chatId, `Usage: /${tpsl} <asset> <trigger_price> [limit <price>]\n\nExamples:\n/${tpsl} BTC ${tpsl === 'tp' ? '110000' : '90000'}\n/${tpsl} ETH ${tpsl === 'tp' ? '4200 limit 4190' : '3000 limit 2990'}\n\n💡 Places a reduce-only ${label.toLowerCase()} trigger for your whole open position. Market triggers are used unless a limit price is given.`);
+    return;
+  }
+
+  const asset = parts[1].toUpperCase();
+  const triggerPx = parseFloat(parts[2]);
+  const limitPx = parts[3]?.toLowerCase() === 'limit' ? parseFloat(parts[4]) : null;
+
+  if (isNaN(triggerPx) || triggerPx <= 0) {
+    bot.sendMessage(chatId, '❌ Invalid trigger price. Must be a positive number.');
+    return;
+  }
+
+  if (limitPx !== null && (isNaN(limitPx) || limitPx <= 0)) {
+    bot.sendMessage(chatId, '❌ Invalid limit price. Must be a positive number.');
+    return;
+  }
+
+  try {
+    const wallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+    const result = await hyperliquidTrading.placePositionTpsl(wallet.id, asset, tpsl, triggerPx, limitPx);
+
+    if (!result.success) {
+      bot.sendMessage(chatId, `❌ Failed to place ${label.toLowerCase()}: ${result.error}`);
+      return;
+    }
+
+    const [order] = trackHyperliquidTriggers(telegramUserId, chatId, wallet.id, result.asset, [result]);
+
+    bot.sendMessage(chatId, `✅ **${label} Placed!**\n\n📋 **Order #${order.id}:**\n• ${result.action.toUpperCase()} ${result.size} ${result.asset} (reduce-only)\n• Trigger: $${triggerPx}\n• Execution: ${result.isMarket ? 'market' : `limit $${limitPx}`}\n• Exchange OID: ${result.oid}\n\nUse /orders to view triggers.\nUse /cancel ${order.id} to remove it.`);
+  } catch (error) {
+    console.error(`Error placing ${label.toLowerCase()}:`, error);
+    bot.sendMessage(chatId, `❌ Error placing ${label.toLowerCase()}: ${error.message}`);
+  }
+}
+
+bot.onText(/^\/tp\b/, (msg) => handleTpslCommand(msg, 'tp'));
+bot.onText(/^\/sl\b/, (msg) => handleTpslCommand(msg, 'sl'));
+
+// Format an alert price: Polymarket odds in cents, everything else in USD
+function formatAlertPrice(platform, price) {
+  if (platform === 'polymarket') {
+    return `${(price * 100).toFixed(1)}¢`;
+  }
+  return `$${price >= 1 ? price.toFixed(4) : price.toPrecision(4)}`;
+}
+
+function describeAlertCondition(alert) {
+  if (alert.condition === 'change') {
+    return `moves ±${alert.value}% from ${formatAlertPrice(alert.platform, alert.basePrice)}`;
+  }
+  return `${alert.condition} ${formatAlertPrice(alert.platform, alert.value)}`;
+}
+
+// Resolve an alert target to what the price monitor needs, plus its current price
+async function resolveAlertTarget(platform, asset, conditionArgs) {
+  if (platform === 'solana') {
+    const token = await solanaTrading.resolveToken(asset);
+    const price = await solanaTrading.getTokenPrice(token.mint);
+    if (!price) {
+      return { error: `❌ No price available for ${token.symbol}. Alerts need a priced token.` };
+    }
+    return { target: { asset: token.symbol, mint: token.mint }, price };
+  }
+
+  if (platform === 'hyperliquid') {
+    const mids = await hyperliquidTrading.getAllMids();
+    const coin = asset.toUpperCase();
+    if (!mids[coin]) {
+      return { error: `❌ Asset ${coin} not found on Hyperliquid.` };
+    }
+    return { target: { asset: coin }, price: parseFloat(mids[coin]) };
+  }
+
+  if (platform === 'polymarket') {
+    const resolved = await polymarketTrading.resolveOutcomeTarget(asset, '/alert polymarket', ` ${conditionArgs}`);
+    if (resolved.error) {
+      return resolved;
+    }
+
+    const { marketDetails, outcome } = resolved;
+    const midpoints = await polymarketTrading.getMidpoints([outcome.tokenId]).catch(() => ({}));
+    return {
+      target: {
+        asset: `${outcome.name} · ${marketDetails.question}`,
+        tokenId: outcome.tokenId,
+        marketId: marketDetails.id
+      },
+      price: midpoints[outcome.tokenId] || outcome.price
+    };
+  }
+
+  return { error: '❌ Invalid platform. Supported: solana, hyperliquid, polymarket' };
+}
+
+bot.onText(/^\/alert\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const usage = 'Usage: /alert <platform> <asset> <above|below|change%> <value> [recurring]\n\nExamples:\n/alert solana BONK above 0.00003\n/alert hyperliquid BTC below 90000 recurring\n/alert hyperliquid ETH change% 5\n/alert polymarket YES "Will BTC hit 200k?" above 0.6';
+
+  try {
+    const parts = msg.text.split(' ').filter(Boolean);
+    const recurring = ['recurring', 'once'].includes(parts[parts.length - 1]?.toLowerCase())
+      ? parts.pop().toLowerCase() === 'recurring'
+      : false;
+
+    if (parts.length < 5) {
+      bot.sendMessage(chatId, usage);
+      return;
+    }
+
+    const platform = parts[1].toLowerCase();
+    const rawValue = parts[parts.length - 1];
+    const rawCondition = parts[parts.length - 2].toLowerCase();
+    const asset = parts.slice(2, -2).join(' ');
+
+    const condition = { 'above': 'above', 'below': 'below', 'change%': 'change', 'change': 'change' }[rawCondition];
+    const value = parseFloat(rawValue.replace('%', ''));
+
+    if (!condition || isNaN(value) || value <= 0) {
+      bot.sendMessage(chatId, `❌ Invalid condition.\n\n${usage}`);
+      return;
+    }
+    if (platform === 'polymarket' && condition !== 'change' && value >= 1) {
+      bot.sendMessage(chatId, '❌ Polymarket alerts use odds between 0 and 1 (e.g. 0.65 for 65¢).');
+      return;
+    }
+
+    const resolved = await resolveAlertTarget(platform, asset, `${rawCondition} ${rawValue}`);
+    if (resolved.error) {
+      bot.sendMessage(chatId, resolved.error);
+      return;
+    }
+
+    const alert = alertStore.add(telegramUserId, {
+      platform,
+      ...resolved.target,
+      condition,
+      value,
+      basePrice: resolved.price, // Reference for change% alerts
+      recurring,
+      armed: true, // Recurring above/below alerts re-arm once the price crosses back
+      status: 'active',
+      createdAt: new Date(),
+      triggerCount: 0,
+      chatId
+    });
+
+    bot.sendMessage(chatId, `🔔 **Price Alert Set!**\n\n📋 **Alert #${alert.id}:**\n• ${platform}: ${alert.asset}\n• Notify when price ${describeAlertCondition(alert)}\n• Current: ${formatAlertPrice(platform, resolved.price)}\n• ${recurring ? '🔁 Recurring' : '1️⃣ One-shot'}\n\nUse /alerts to list alerts.\nUse /alerts remove ${alert.id} to remove it.`);
+
+  } catch (error) {
+    console.error('Error creating price alert:', error);
+    bot.sendMessage(chatId, `❌ Error creating alert: ${error.message}`);
+  }
+});
+
+bot.onText(/^\/alerts\b/, (msg) => {
+  const chatId = msg.chat.id;
+  const telegramUserId = msg.from.id;
+  const parts = msg.text.split(' ').filter(Boolean);
+
+  if (parts[1]?.toLowerCase() === 'remove') {
+    const alertId = parseInt(parts[2]);
+    const alert = isNaN(alertId) ? null : alertStore.findOrder(telegramUserId, alertId);
+
+    if (!alert || alert.status !== 'active') {
+      bot.sendMessage(chatId, `❌ Active alert #${parts[2] || '?'} not found.\n\nUsage: /alerts remove <alert_id>`);
+      return;
+    }
+
+    alertStore.update(alert, { status: 'removed', cancelledAt: new Date() });
+    bot.sendMessage(chatId, `✅ Alert #${alert.id} removed.`);
+    return;
+  }
+
+  const activeAlerts = alertStore.getUserOrders(telegramUserId).filter(alert => alert.status === 'active');
+  if (activeAlerts.length === 0) {
+    bot.sendMessage(chatId, '🔔 You have no active price alerts.\n\nUse /alert to create one.');
+    return;
+  }
+
+  let message = `🔔 **Your Price Alerts:**\n\n`;
+  activeAlerts.forEach(alert => {
+    message += `**#${alert.id}** ${alert.platform}: ${alert.asset.length > 50 ? `${alert.asset.substring(0, 50)}...` : alert.asset}\n`;
+    message += `• Price ${describeAlertCondition(alert)}\n`;
+    message += `• ${alert.recurring ? `🔁 Recurring (triggered ${alert.triggerCount}x)` : '1️⃣ One-shot'}\n\n`;
+  });
+  message += `💡 Use /alerts remove <alert_id> to remove an alert.`;
+
+  bot.sendMessage(chatId, message);
+});
 
 bot.onText(/\/help/, (msg) => {
   const chatId = msg.chat.id;
@@ -577,19 +2358,60 @@ bot.onText(/\/help/, (msg) => {
 • /exportwallet <chain> - Export keys
 
 💰 **Trading:**
-• /trade solana buy <amount> <token>
+• /trade solana buy <amount> <token> [with <token>]
+• /trade solana sell <amount> <token> [for <token>]
 • /trade hyperliquid buy <amount> <asset>
-• /trade polymarket buy <amount> "<question>"
+• /trade polymarket <buy|sell> <shares> [outcome] "<question|url|slug|id>"
+
+💡 Solana amounts are in the token you spend (USDC by default for buys)
+💡 Add slippage=<x%> to a Solana trade to override your default slippage
+
+⚡ **Hyperliquid:**
+• /leverage <asset> <x> [cross|isolated] - Set leverage
+• /margin <asset> <add|remove> <usd> - Adjust isolated margin
+• /tp <asset> <price> [limit <px>] - Take-profit on a position
+• /sl <asset> <price> [limit <px>] - Stop-loss on a position
+• /trade hyperliquid buy <amount> <asset> tp=<px> sl=<px>
 
 🎯 **Limit Orders:**
 • /limit <platform> <action> <amount> <asset> <price>
+• /limit hyperliquid <action> <amount> <asset> <price> [gtc|alo]
+• /limit polymarket <action> <shares> <outcome> <price¢> "<market>" [gtd <duration>]
+• /stop solana <amount> <token> <price> - Stop-loss sell
+• /oco <platform> <amount> <asset> tp <px> sl <px> - One-cancels-other exits
+• /bracket <platform> <buy|sell> <amount> <asset> <entry> tp <px> sl <px> - Entry + TP/SL
+• /trail solana <amount> <token> <5%|distance> - Trailing stop sell
 • /orders - View your limit orders
 • /cancel <order_id> - Cancel limit order
+• /pmorders [cancel <id>|all|market "<m>"] [amend <id> <price¢>] - Polymarket CLOB orders
+
+🔔 **Price Alerts:**
+• /alert <platform> <asset> <above|below|change%> <value> [recurring]
+• /alerts - View your alerts
+• /alerts remove <alert_id> - Remove an alert
+
+⏱️ **TWAP:**
+• /twap <platform> <buy|sell> <amount> <asset> over <duration> [slices N]
+• /twap list - Progress and VWAP
+• /twap cancel <id> - Stop remaining slices
+
+📆 **DCA:**
+• /dca <platform> <amount> <asset> every <interval> [times N]
+• /dca list - Plans with running average cost
+• /dca pause|resume|cancel <id>
 
 📊 **Portfolio:**
 • /balance - View balances
 • /positions - View your positions
+• /pnl [24h|7d|all] - Net worth and realized/unrealized PnL
+• /history [platform] [days] - Executed trades
+• /export history - Download trade history as CSV
 • /tokeninfo <token> - Token info
+• /book "<market>" [outcome] [shares] - Polymarket order book and fill estimate
+• /markets [#category] [volume|liquidity|ending|newest] [keywords] - Browse Polymarket markets
+• /event "<event>" - Candidates and odds of a multi-outcome Polymarket event
+• /settings - Trade confirmation and other preferences
+• /redeem [id|all] - Redeem winnings from resolved Polymarket markets
 • /status - Bot status
 • /test - API tests
 
@@ -609,32 +2431,303 @@ bot.onText(/\/help/, (msg) => {
   bot.sendMessage(chatId, helpMessage);
 });
 
-bot.onText(/\/markets/, async (msg) => {
+// Format a fill estimate for /book: average and worst price, total and slippage vs the midpoint
+function formatFillEstimate(action, shares, fill, midpoint) {
+  const verb = action === 'buy' ? 'Buy' : 'Sell';
+  if (fill.filled === 0) {
+    return `• ${verb} ${shares}: ❌ no ${action === 'buy' ? 'asks' : 'bids'} on the book\n`;
+  }
+
+  const slippage = midpoint ? ` (${((fill.avgPrice - midpoint) / midpoint * 100).toFixed(2)}% vs mid)` : '';
+  let line = `• ${verb} ${shares}: avg ${formatAlertPrice('polymarket', fill.avgPrice)}${slippage}, worst ${formatAlertPrice('polymarket', fill.worstPrice)}, ${action === 'buy' ? 'cost' : 'proceeds'} $${fill.total.toFixed(2)}\n`;
+  if (fill.filled < shares) {
+    line += `   ⚠️ Only ${fill.filled.toFixed(2)} shares available on this side of the book\n`;
+  }
+  return line;
+}
+
+bot.onText(/^\/book\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const rest = msg.text.replace(/^\/book\S*\s*/, '').trim();
+
+  // /book "<market>" [outcome] [shares], or /book <outcome> "<market>" [shares]
+  const quoted = rest.match(/^(.*?)\s*["“](.+?)["”]\s*(.*)$/);
+  if (!quoted) {
+    bot.sendMessage(chatId, `Usage: /book "<market>" [outcome] [shares]\n\nShows the top ${BOOK_DEPTH} bids and asks, the spread and the midpoint for an outcome. Add a share size to estimate the average fill price of a market order.\n\nExamples:\n/book "Will BTC hit 200k?"\n/book "Will BTC hit 200k?" no\n/book "Will BTC hit 200k?" yes 500`);
+    return;
+  }
+
+  const query = quoted[2].trim();
+  const extraArgs = `${quoted[1]} ${quoted[3]}`.split(/\s+/).filter(Boolean);
+  const sharesArg = extraArgs.find(arg => /^\d*\.?\d+$/.test(arg));
+  const outcomeName = extraArgs.filter(arg => arg !== sharesArg).join(' ') || null;
+  const shares = sharesArg ? parseFloat(sharesArg) : null;
+
+  if (sharesArg && !(shares > 0)) {
+    bot.sendMessage(chatId, '❌ Invalid share size. Must be a positive number.');
+    return;
+  }
+
+  try {
+    // The outcome may name a candidate of a multi-outcome event ("Trump", "Trump no")
+    const target = await polymarketTrading.resolveOutcomeTarget(`${outcomeName || ''} "${query}"`, '/book',
+      sharesArg ? ` ${sharesArg}` : '');
+    if (target.error) {
+      bot.sendMessage(chatId, target.error);
+      return;
+    }
+
+    const { marketDetails, outcome } = target;
+    const book = await polymarketTrading.getOrderBook(outcome.tokenId);
+
+    const formatLevel = level => `   ${formatAlertPrice('polymarket', level.price).padStart(6)} × ${level.size.toFixed(2)}`;
+    const asks = book.asks.slice(0, BOOK_DEPTH).reverse(); // Highest ask on top, best ask next to the spread
+    const bids = book.bids.slice(0, BOOK_DEPTH);
+
+    let message = `📖 **Order Book: ${outcome.name}**\n📊 ${marketDetails.question}\n\n`;
+    message += `🔴 **Asks:**\n${asks.length > 0 ? asks.map(formatLevel).join('\n') : '   (none)'}\n`;
+    message += `🟢 **Bids:**\n${bids.length > 0 ? bids.map(formatLevel).join('\n') : '   (none)'}\n\n`;
+
+    if (book.spread !== null) {
+      message += `↔️ **Spread:** ${formatAlertPrice('polymarket', book.spread)} (${(book.spread / book.midpoint * 100).toFixed(2)}% of mid)\n`;
+      message += `🎯 **Midpoint:** ${formatAlertPrice('polymarket', book.midpoint)}\n`;
+    } else {
+      message += '↔️ **Spread:** n/a (one side of the book is empty)\n';
+    }
+    message += `📈 **Gamma price:** ${formatAlertPrice('polymarket', outcome.price)}\n`;
+
+    if (shares) {
+      message += `\n🧮 **Market order estimate (${shares} shares):**\n`;
+      message += formatFillEstimate('buy', shares, polymarketTrading.estimateFill(book, 'buy', shares), book.midpoint);
+      message += formatFillEstimate('sell', shares, polymarketTrading.estimateFill(book, 'sell', shares), book.midpoint);
+    } else {
+      message += `\n💡 Add a share size to estimate fills: /book "${query}" ${outcome.name.toLowerCase()} 100`;
+    }
+
+    bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Error loading Polymarket order book:', error);
+    bot.sendMessage(chatId, `❌ Error loading order book: ${error.message}`);
+  }
+});
+
+// Candidate markets listed per /event message (Telegram caps message length)
+const EVENT_MARKETS_SHOWN = 25;
+
+bot.onText(/^\/event\b/, async (msg) => {
   const chatId = msg.chat.id;
+  const query = msg.text.replace(/^\/event\S*\s*/, '').replace(/^["“]|["”]$/g, '').trim();
+
+  if (!query) {
+    bot.sendMessage(chatId, 'Usage: /event "<event>"\n\nLists every candidate market of a multi-outcome Polymarket event with its odds. Accepts an event title, slug, ID or polymarket.com/event URL.\n\nExamples:\n/event "Who will win the election?"\n/event presidential-election-winner-2028');
+    return;
+  }
 
   try {
-    // Get Polymarket markets as an example
-    const markets = await polymarketTrading.getMarkets(5);
-
-    let marketsMessage = '📈 **Available Polymarket Markets:**\n\n';
-    markets.forEach((market, index) => {
-      marketsMessage += `${index + 1}. ${market.question}\n`;
-      marketsMessage += `   ID: ${market.id}\n`;
-      marketsMessage += `   Price: ${market.price}¢\n\n`;
+    const { event, candidates } = await polymarketTrading.resolveEvent(query);
+
+    if (!event) {
+      if (candidates.length === 0) {
+        bot.sendMessage(chatId, `❌ Event not found: "${query}".`);
+        return;
+      }
+
+      let message = '🔎 **Several events match. Pick one by slug:**\n\n';
+      candidates.forEach((candidate, index) => {
+        message += `${index + 1}. ${candidate.title}\n   Slug: ${candidate.slug} | ${candidate.markets.length} markets\n\n`;
+      });
+      message += `💡 **Example:** /event ${candidates[0].slug}`;
+      bot.sendMessage(chatId, message);
+      return;
+    }
+
+    const formatCents = price => formatAlertPrice('polymarket', price);
+    let message = `🗳️ **${event.title}**\n`;
+    message += `📊 ${event.markets.length} candidate market${event.markets.length === 1 ? '' : 's'} | Volume $${parseFloat(event.volume).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+    message += event.negRisk ? ' | negRisk (exactly one candidate wins)\n\n' : '\n\n';
+
+    event.markets.slice(0, EVENT_MARKETS_SHOWN).forEach((market, index) => {
+      const name = market.groupItemTitle || market.question;
+      const odds = market.outcomes.map((outcome, i) => `${outcome} ${formatCents(market.prices[i])}`).join(' / ');
+      message += `${index + 1}. **${name}**: ${odds}\n`;
     });
+    if (event.markets.length > EVENT_MARKETS_SHOWN) {
+      message += `… and ${event.markets.length - EVENT_MARKETS_SHOWN} more\n`;
+    }
+
+    if (event.negRisk) {
+      const yesTotal = event.markets.reduce((sum, market) => sum + market.prices[0], 0);
+      message += `\nΣ Yes prices: ${formatCents(yesTotal)}\n`;
+    }
+
+    const example = event.markets[0].groupItemTitle || 'Yes';
+    message += `\n💡 **Trade a candidate:**\n/trade polymarket buy 10 ${example} "${event.slug}"\n/trade polymarket buy 10 ${example} no "${event.slug}"\n/book ${example} "${event.slug}"`;
+
+    bot.sendMessage(chatId, message);
+  } catch (error) {
+    console.error('Error loading Polymarket event:', error);
+    bot.sendMessage(chatId, `❌ Error loading event: ${error.message}`);
+  }
+});
 
-    marketsMessage += '**Solana**: SOL, USDC, and other tokens\n';
-    marketsMessage += '**Hyperliquid**: BTC, ETH, and perpetual contracts\n\n';
-    marketsMessage += 'Use /trade <platform> <action> <amount> <asset> to trade';
+// Parse "/markets [#category] [volume|liquidity|ending|newest] [keywords]"
+function parseMarketFilters(args) {
+  const filters = { sort: null, tag: null, search: null };
+  const keywords = [];
+
+  for (const arg of args) {
+    const value = arg.toLowerCase();
+    if (MARKET_SORTS.includes(value)) {
+      filters.sort = value;
+    } else if (value.startsWith('#') && value.length > 1) {
+      filters.tag = value.slice(1);
+    } else {
+      keywords.push(arg);
+    }
+  }
+
+  filters.search = keywords.join(' ').replace(/["“”]/g, '').trim() || null;
+  return filters;
+}
+
+// One page of the market catalog with a Trade button per market and Prev/Next buttons
+async function buildMarketsPage(browseId, filters, page) {
+  const { markets, hasMore } = await polymarketTrading.browseMarkets({
+    sort: filters.sort || 'volume',
+    tag: filters.tag,
+    search: filters.search,
+    page,
+    pageSize: MARKETS_PAGE_SIZE
+  });
+
+  const scope = [
+    filters.tag ? `#${filters.tag}` : null,
+    filters.search ? `"${filters.search}"` : null,
+    `by ${filters.sort || (filters.search ? 'relevance' : 'volume')}`
+  ].filter(Boolean).join(' · ');
+
+  if (markets.length === 0) {
+    return {
+      text: `📈 **Polymarket Markets** (${scope})\n\n${page > 0 ? 'No more markets.' : 'No markets found.'}`,
+      keyboard: page > 0 ? [[{ text: '⬅️ Prev', callback_data: `markets:page:${browseId}:${page - 1}` }]] : []
+    };
+  }
+
+  const formatUsd = value => `$${parseFloat(value || 0).toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  let text = `📈 **Polymarket Markets** (${scope})\n\n`;
+  markets.forEach((market, index) => {
+    const odds = market.outcomes
+      .map((outcome, i) => `${outcome} ${formatAlertPrice('polymarket', market.prices[i])}`)
+      .join(' / ');
+    const ends = market.endDate ? ` | Ends ${market.endDate.slice(0, 10)}` : '';
+    text += `${page * MARKETS_PAGE_SIZE + index + 1}. ${market.question}\n`;
+    text += `   ${odds}\n`;
+    text += `   Vol ${formatUsd(market.volume)} | Liq ${formatUsd(market.liquidity)}${ends}\n\n`;
+  });
+  text += `Page ${page + 1}\n💡 /markets #crypto ending, /markets bitcoin, /markets newest`;
+
+  const keyboard = markets.map((market, index) => [{
+    text: `🛒 Trade ${page * MARKETS_PAGE_SIZE + index + 1}: ${market.question.slice(0, 40)}`,
+    callback_data: `markets:trade:${market.id}`
+  }]);
+
+  const navigation = [];
+  if (page > 0) {
+    navigation.push({ text: '⬅️ Prev', callback_data: `markets:page:${browseId}:${page - 1}` });
+  }
+  if (hasMore) {
+    navigation.push({ text: 'Next ➡️', callback_data: `markets:page:${browseId}:${page + 1}` });
+  }
+  if (navigation.length > 0) {
+    keyboard.push(navigation);
+  }
+
+  return { text, keyboard };
+}
+
+bot.onText(/^\/markets\b/, async (msg) => {
+  const chatId = msg.chat.id;
+  const filters = parseMarketFilters(msg.text.split(' ').slice(1).filter(Boolean));
 
-    bot.sendMessage(chatId, marketsMessage);
+  try {
+    // Filters can be longer than callback data allows, so pages refer to them by ID
+    const browseId = (browseCounter++).toString(36);
+    marketBrowsers.set(browseId, filters);
+    if (marketBrowsers.size > MAX_MARKET_BROWSERS) {
+      marketBrowsers.delete(marketBrowsers.keys().next().value);
+    }
+
+    const { text, keyboard } = await buildMarketsPage(browseId, filters, 0);
+    bot.sendMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
   } catch (error) {
     console.error('Error getting markets:', error);
-    bot.sendMessage(chatId, 'Error retrieving market information.');
+    bot.sendMessage(chatId, `❌ Error retrieving markets: ${error.message}\n\nUsage: /markets [#category] [volume|liquidity|ending|newest] [keywords]\nExample: /markets #politics ending`);
   }
 });
 
+// Buttons on a /markets page: Prev/Next, Trade (market card) and Buy (trade quote)
+async function handleMarketsCallback(query) {
+  const [, kind, ...args] = query.data.split(':');
+  const chatId = query.message.chat.id;
+
+  if (kind === 'page') {
+    const [browseId, page] = args;
+    const filters = marketBrowsers.get(browseId);
+    if (!filters) {
+      bot.answerCallbackQuery(query.id, { text: 'This list has expired. Run /markets again.' });
+      return;
+    }
+
+    const { text, keyboard } = await buildMarketsPage(browseId, filters, parseInt(page) || 0);
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: { inline_keyboard: keyboard }
+    });
+    bot.answerCallbackQuery(query.id);
+    return;
+  }
+
+  if (kind === 'trade') {
+    const market = await polymarketTrading.getMarketDetails(args[0]);
+    if (!market) {
+      bot.answerCallbackQuery(query.id, { text: 'Market not found' });
+      return;
+    }
+    bot.answerCallbackQuery(query.id);
+
+    const odds = market.outcomes
+      .map((outcome, i) => `• ${outcome}: ${formatAlertPrice('polymarket', market.prices[i])}`)
+      .join('\n');
+    const buttons = market.outcomes.map((outcome, i) => [{
+      text: `Buy ${MARKET_TRADE_SHARES} ${outcome} @ ~${formatAlertPrice('polymarket', market.prices[i])}`,
+      callback_data: `markets:buy:${market.id}:${i}`
+    }]);
+
+    bot.sendMessage(chatId, `🛒 **${market.question}**\n\n${odds}\n\n${market.closed ? '⚠️ This market is closed.\n\n' : ''}Tap an outcome for a ${MARKET_TRADE_SHARES}-share quote, or size it yourself:\n/trade polymarket buy <shares> ${market.outcomes[0]} "${market.id}"\n/limit polymarket buy <shares> ${market.outcomes[0]} <price¢> "${market.id}"\n/book "${market.id}" ${market.outcomes[0]} <shares>`, {
+      reply_markup: { inline_keyboard: market.closed ? [] : buttons }
+    });
+    return;
+  }
+
+  if (kind === 'buy') {
+    const [marketId, outcomeIndex] = args;
+    const market = await polymarketTrading.getMarketDetails(marketId);
+    const outcome = market?.outcomes[parseInt(outcomeIndex)];
+    if (!outcome) {
+      bot.answerCallbackQuery(query.id, { text: 'Market not found' });
+      return;
+    }
+    bot.answerCallbackQuery(query.id);
+
+    // Always quote first: a button tap should never trade without a confirmation
+    const wallet = await getOrCreateWallet(query.from.id, 'ethereum');
+    await sendTradeQuote(query.from.id, chatId, 'polymarket', wallet.id, 'buy', String(MARKET_TRADE_SHARES), `${outcome} "${market.id}"`);
+    return;
+  }
 
+  bot.answerCallbackQuery(query.id);
+}
 
 bot.onText(/\/tokeninfo/, async (msg) => {
   const chatId = msg.chat.id;
@@ -820,8 +2913,8 @@ bot.onText(/\/debug/, (msg) => {
 });
 
 // Trading functions
-async function executeSolanaTrade(walletId, action, amount, asset, chatId) {
-  await solanaTrading.executeTrade(walletId, action, amount, asset, chatId, bot);
+async function executeSolanaTrade(walletId, action, amount, asset, chatId, quotedOrder = null, slippageBps = null) {
+  return solanaTrading.executeTrade(walletId, action, amount, asset, chatId, bot, quotedOrder, slippageBps);
 }
 
 async function executeEthereumTrade(walletId, action, amount, asset, chatId) {
@@ -830,12 +2923,364 @@ async function executeEthereumTrade(walletId, action, amount, asset, chatId) {
   bot.sendMessage(chatId, `⚠️ Ethereum trading coming soon!\n\nAction: ${action} ${amount} ${asset}\nWallet: ${walletId}\n\nUse /trade solana for Solana trading.`);
 }
 
-async function executeHyperliquidTrade(walletId, action, amount, asset, chatId) {
-  await hyperliquidTrading.executeTrade(walletId, action, amount, asset, chatId, bot);
-}
+async function executeHyperliquidTrade(walletId, action, amount, asset, chatId) {
+  return hyperliquidTrading.executeTrade(walletId, action, amount, asset, chatId, bot);
+}
+
+async function executePolymarketTrade(walletId, action, amount, asset, chatId) {
+  return polymarketTrading.executeTrade(walletId, action, amount, asset, chatId, bot);
+}
+
+// Place a resting Hyperliquid limit order and track it by exchange oid
+// tpsl: optional { tp, sl } that turn the order into a bracket entry
+async function placeHyperliquidLimitOrder(telegramUserId, chatId, action, amount, asset, targetPrice, postOnly, tpsl = {}) {
+  const wallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+  const result = await hyperliquidTrading.placeLimitOrder(wallet.id, action, amount, asset, targetPrice, postOnly, tpsl);
+
+  if (!result.success) {
+    bot.sendMessage(chatId, `❌ Failed to place Hyperliquid limit order: ${result.error}`);
+    return;
+  }
+
+  const filled = result.status === 'filled';
+  const limitOrder = orderStore.add(telegramUserId, {
+    platform: 'hyperliquid',
+    action,
+    amount,
+    asset: result.asset,
+    targetPrice,
+    oid: result.oid,
+    tif: result.tif,
+    status: filled ? 'executed' : 'active',
+    createdAt: new Date(),
+    executedAt: filled ? new Date() : null,
+    executedPrice: result.avgPx,
+    expiresAt: null, // Resting orders live on the exchange until filled or cancelled
+    walletId: wallet.id,
+    chatId
+  });
+
+  if (filled) {
+    tradeLedger.record(telegramUserId, {
+      platform: 'hyperliquid',
+      side: action,
+      asset: result.asset,
+      size: parseFloat(amount),
+      price: result.avgPx,
+      txId: String(result.oid),
+      source: 'limit',
+      orderId: limitOrder.id
+    });
+  }
+
+  // Bracket children are armed by the exchange when the entry fills
+  let bracketLines = '';
+  if (result.triggers.length > 0) {
+    const children = trackHyperliquidTriggers(telegramUserId, chatId, wallet.id, result.asset, result.triggers, limitOrder.id);
+    linkOcoOrders(children);
+    orderStore.update(limitOrder, { childOrderIds: children.map(child => child.id) });
+
+    bracketLines = children.map(child =>
+      `• ${child.type === 'tp' ? '🎯 TP' : '🛑 SL'} #${child.id}: $${child.targetPrice} (armed when #${limitOrder.id} fills)\n`
+    ).join('');
+  }
+
+  const statusLine = filled
+    ? `✅ Filled immediately @ $${result.avgPx}`
+    : `📖 Resting on book (${result.tif === 'Alo' ? 'post-only' : 'GTC'})`;
+
+  bot.sendMessage(chatId, `✅ **Hyperliquid ${bracketLines ? 'Bracket' : 'Limit'} Order Placed!**\n\n📋 **Order #${limitOrder.id}:**\n• ${action.toUpperCase()} ${amount} ${result.asset} @ $${targetPrice}\n• Exchange OID: ${result.oid}\n• Status: ${statusLine}\n${bracketLines}\nUse /orders to see live order state.\nUse /cancel ${limitOrder.id} to cancel it on the exchange${bracketLines ? ' (its TP/SL go with it)' : ''}.`);
+}
+
+// Place a resting Polymarket limit order on the CLOB and track it by CLOB order ID
+async function placePolymarketLimitOrder(telegramUserId, chatId, action, amount, target, limitPrice, orderType, expiration, commandPrefix, commandSuffix) {
+  const wallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+  bot.sendMessage(chatId, `🔄 Placing Polymarket ${orderType} limit order: ${action.toUpperCase()} ${amount} shares @ ${formatAlertPrice('polymarket', limitPrice)}...`);
+
+  const result = await polymarketTrading.placeLimitOrder(wallet.id, action, amount, target, limitPrice,
+    { orderType, expiration, commandPrefix, commandSuffix });
+
+  if (!result.success) {
+    bot.sendMessage(chatId, result.error.startsWith('❌') || result.error.startsWith('🔎')
+      ? result.error
+      : `❌ Failed to place Polymarket limit order: ${result.error}`);
+    return;
+  }
+
+  const { marketDetails, outcome } = result;
+  const filled = result.status === 'matched';
+  const limitOrder = orderStore.add(telegramUserId, {
+    platform: 'polymarket',
+    action,
+    amount,
+    asset: `${outcome.name} · ${marketDetails.question}`,
+    outcome: outcome.name,
+    tokenId: outcome.tokenId,
+    marketId: marketDetails.id,
+    targetPrice: result.executedPrice, // Rounded to the market's tick size
+    tickSize: result.tickSize,
+    clobOrderId: result.orderId,
+    orderType: result.orderType,
+    status: filled ? 'executed' : 'active',
+    createdAt: new Date(),
+    executedAt: filled ? new Date() : null,
+    executedPrice: filled ? result.executedPrice : null,
+    expiresAt: null, // The CLOB closes GTD orders itself; GTC ones rest until filled or cancelled
+    goodTillAt: expiration ? expiration.getTime() : null,
+    walletId: wallet.id,
+    chatId
+  });
+
+  if (filled) {
+    recordPolymarketFill(limitOrder, parseFloat(amount));
+  }
+
+  const roundedNote = result.executedPrice !== limitPrice
+    ? ` (rounded from ${formatAlertPrice('polymarket', limitPrice)} to the ${result.tickSize} tick)`
+    : '';
+  const statusLine = filled
+    ? `✅ Filled immediately @ ${formatAlertPrice('polymarket', result.executedPrice)}`
+    : `📖 Resting on the CLOB (${result.orderType}${expiration ? ` until ${expiration.toUTCString()}` : ''})`;
+
+  bot.sendMessage(chatId, `✅ **Polymarket Limit Order Placed!**\n\n📋 **Order #${limitOrder.id}:**\n• ${action.toUpperCase()} ${amount} ${outcome.name} shares @ ${formatAlertPrice('polymarket', result.executedPrice)}${roundedNote}\n• Market: ${marketDetails.question}\n• CLOB Order ID: ${result.orderId}\n• Status: ${statusLine}\n\nUse /orders to see live order state.\nUse /cancel ${limitOrder.id} to cancel it on the CLOB.`);
+}
+
+// Add a Polymarket limit order fill (shares matched on the CLOB) to the trade ledger
+function recordPolymarketFill(order, size) {
+  tradeLedger.record(order.userId, {
+    platform: 'polymarket',
+    side: order.action,
+    asset: order.asset,
+    size,
+    price: order.targetPrice,
+    quoteAsset: 'USDC',
+    fees: 0, // Orders are placed with feeRateBps 0
+    txId: order.clobOrderId,
+    source: 'limit',
+    orderId: order.id
+  });
+}
+
+// Record TP/SL triggers placed by the exchange so /orders can show and cancel them
+// (parentId: the bracket entry they belong to)
+function trackHyperliquidTriggers(telegramUserId, chatId, walletId, asset, triggers, parentId = null) {
+  return (triggers || []).map(trigger => orderStore.add(telegramUserId, {
+    platform: 'hyperliquid',
+    parentId,
+    type: trigger.tpsl,
+    action: trigger.action,
+    amount: trigger.amount,
+    asset,
+    targetPrice: trigger.triggerPx,
+    limitPrice: trigger.limitPx,
+    isMarket: trigger.isMarket,
+    oid: trigger.oid, // null until a grouped child is armed by its entry fill
+    status: 'active',
+    createdAt: new Date(),
+    expiresAt: null,
+    walletId,
+    chatId
+  }));
+}
+
+// Make each order one-cancels-other with the rest of the group
+function linkOcoOrders(orders) {
+  orders.forEach(order => {
+    orderStore.update(order, {
+      linkedOrderIds: orders.filter(other => other.id !== order.id).map(other => other.id)
+    });
+  });
+}
+
+// Still-open orders tied to this one: OCO siblings and bracket children
+function getLinkedOpenOrders(order) {
+  return [...(order.linkedOrderIds || []), ...(order.childOrderIds || [])]
+    .map(id => orderStore.findOrder(order.userId, id))
+    .filter(linked => linked && ['active', 'pending'].includes(linked.status));
+}
+
+// Cancel a tracked order, on the exchange first when it rests there
+async function cancelTrackedOrder(order, reason = null) {
+  if (isExchangeOrder(order) && order.oid) {
+    const result = await hyperliquidTrading.cancelOrder(order.walletId, order.asset, order.oid);
+    if (!result.success) {
+      return result;
+    }
+  }
+  if (isClobOrder(order)) {
+    const result = await polymarketTrading.cancelOrder(order.walletId, order.clobOrderId);
+    if (!result.success) {
+      return result;
+    }
+  }
+
+  orderStore.update(order, { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason });
+  return { success: true };
+}
+
+// After an order executes: arm its bracket children and cancel its OCO siblings.
+// filledSize: base amount the order actually bought (sizes Solana bracket exits)
+async function handleLinkedOrders(order, filledSize = null) {
+  const lines = [];
+
+  for (const child of (order.childOrderIds || []).map(id => orderStore.findOrder(order.userId, id))) {
+    if (!child || child.status !== 'pending') continue;
+
+    if (child.amount === null && !filledSize) {
+      orderStore.update(child, { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'entry fill size unknown' });
+      lines.push(`• ⚠️ #${child.id} cancelled: could not determine the entry fill size`);
+      continue;
+    }
+
+    orderStore.update(child, { status: 'active', amount: child.amount ?? filledSize.toString() });
+    lines.push(`• 🟢 #${child.id} armed: SELL ${child.amount} ${child.asset} ${child.type === 'stop' ? `if ≤ $${child.targetPrice}` : `at ≥ $${child.targetPrice}`}`);
+  }
+
+  for (const siblingId of order.linkedOrderIds || []) {
+    const sibling = orderStore.findOrder(order.userId, siblingId);
+    if (!sibling || !['active', 'pending'].includes(sibling.status)) continue;
+
+    const result = await cancelTrackedOrder(sibling, `OCO: #${order.id} executed`);
+    if (result.success) {
+      lines.push(`• ❌ #${sibling.id} cancelled (one-cancels-other)`);
+    } else {
+      // It may have filled or been cancelled on the exchange in the meantime
+      console.error(`Error cancelling OCO sibling ${sibling.id}:`, result.error);
+      await syncHyperliquidOrders(sibling.walletId, [sibling])
+        .then(({ changed }) => changed.forEach(handleHyperliquidOrderUpdate))
+        .catch(() => {});
+      lines.push(`• ⚠️ #${sibling.id} could not be cancelled: ${result.error}`);
+    }
+  }
+
+  if (lines.length > 0) {
+    bot.sendMessage(order.chatId, `🔗 **Linked Orders Updated (#${order.id} executed):**\n\n${lines.join('\n')}\n\nUse /orders to review.`);
+  }
+}
+
+// Orders that live on the Hyperliquid book rather than in the bot's price monitor
+function isExchangeOrder(order) {
+  return order.platform === 'hyperliquid' && order.oid !== undefined;
+}
+
+// Orders that rest on the Polymarket CLOB
+function isClobOrder(order) {
+  return order.platform === 'polymarket' && Boolean(order.clobOrderId);
+}
+
+// Reconcile tracked Polymarket orders with the CLOB, recording fills in the ledger.
+// Returns the live CLOB state by bot order ID and the tracked orders that changed state
+async function syncPolymarketOrders(trackedOrders) {
+  const liveState = new Map();
+  const changed = [];
+
+  for (const order of trackedOrders.filter(o => o.status === 'active' && isClobOrder(o))) {
+    const clobOrder = await polymarketTrading.getOrder(order.walletId, order.clobOrderId);
+    if (!clobOrder) continue;
+
+    liveState.set(order.id, clobOrder);
+    if (clobOrder.status === 'live') continue;
+
+    if (clobOrder.status === 'matched') {
+      orderStore.update(order, {
+        status: 'executed',
+        executedAt: new Date(),
+        executedPrice: clobOrder.price || order.targetPrice
+      });
+      recordPolymarketFill(order, clobOrder.sizeMatched || parseFloat(order.amount));
+    } else {
+      // Cancelled or expired on the CLOB; keep whatever part of it filled
+      const expired = order.goodTillAt && Date.now() >= order.goodTillAt;
+      orderStore.update(order, {
+        status: expired ? 'expired' : 'cancelled',
+        cancelledAt: new Date(),
+        cancelReason: expired ? 'GTD expiry reached' : (clobOrder.status || 'closed by exchange'),
+        filledAmount: clobOrder.sizeMatched
+      });
+      if (clobOrder.sizeMatched > 0) {
+        recordPolymarketFill(order, clobOrder.sizeMatched);
+      }
+    }
+    changed.push(order);
+  }
+
+  return { liveState, changed };
+}
+
+// Reconcile tracked Hyperliquid orders for one wallet with the exchange.
+// Returns the wallet's live open orders and the tracked orders that changed state
+async function syncHyperliquidOrders(walletId, trackedOrders) {
+  const liveOrders = await hyperliquidTrading.getOpenOrders(walletId);
+  const liveOids = new Set(liveOrders.map(order => order.oid));
+  const changed = [];
+
+  // Grouped TP/SL children get their oid once armed: adopt it from the live trigger
+  const claimedOids = new Set(trackedOrders.map(order => order.oid).filter(Boolean));
+  trackedOrders.filter(order => order.status === 'active' && !order.oid && order.type).forEach(order => {
+    const liveTrigger = liveOrders.find(live =>
+      live.isTrigger &&
+      !claimedOids.has(live.oid) &&
+      live.coin === order.asset &&
+      parseFloat(live.triggerPx) === parseFloat(order.targetPrice)
+    );
+
+    if (liveTrigger) {
+      claimedOids.add(liveTrigger.oid);
+      orderStore.update(order, { oid: liveTrigger.oid });
+    }
+  });
+
+  for (const order of trackedOrders.filter(o => o.status === 'active' && o.oid && !liveOids.has(o.oid))) {
+    const orderStatus = await hyperliquidTrading.getOrderStatus(walletId, order.oid);
+    if (!orderStatus || orderStatus.status === 'open') continue;
+
+    if (['filled', 'triggered'].includes(orderStatus.status)) {
+      // limitPx is only the worst accepted price (trigger ± slippage for market
+      // triggers): book the average price the fills actually got
+      const fill = await hyperliquidTrading.getOrderFill(walletId, order.oid).catch(error => {
+        console.error(`Error fetching fills for order ${order.id}:`, error);
+        return null;
+      });
+      orderStore.update(order, {
+        status: 'executed',
+        executedAt: new Date(orderStatus.statusTimestamp || Date.now()),
+        executedPrice: fill?.avgPx || parseFloat(orderStatus.order?.limitPx) || order.targetPrice,
+        filledAmount: fill?.size || null,
+        fees: fill?.fees ?? null
+      });
+    } else {
+      orderStore.update(order, {
+        status: 'cancelled',
+        cancelledAt: new Date(orderStatus.statusTimestamp || Date.now()),
+        cancelReason: orderStatus.status
+      });
+    }
+    changed.push(order);
+  }
+
+  return { liveOrders, changed };
+}
+
+// Format Solana token holdings as list lines (amount, USD value, 24h change)
+function formatSolanaHoldings(solanaHoldings) {
+  if (solanaHoldings.holdings.length === 0) {
+    return '• No token holdings\n';
+  }
+
+  let message = '';
+  solanaHoldings.holdings.forEach(holding => {
+    const change = holding.priceChange24h !== null
+      ? ` ${holding.priceChange24h >= 0 ? '🟢 +' : '🔴 '}${holding.priceChange24h.toFixed(2)}%`
+      : '';
+    const value = holding.usdPrice ? `$${holding.usdValue.toFixed(2)}` : 'no price';
+    message += `• **${holding.symbol}**: ${holding.amount.toLocaleString(undefined, { maximumFractionDigits: 6 })} (${value})${change}\n`;
+  });
+
+  if (solanaHoldings.hiddenCount > 0) {
+    message += `• ${solanaHoldings.hiddenCount} dust balance(s) under $${SOLANA_DUST_THRESHOLD_USD} hidden\n`;
+  }
 
-async function executePolymarketTrade(walletId, action, amount, asset, chatId) {
-  await polymarketTrading.executeTrade(walletId, action, amount, asset, chatId, bot);
+  return message;
 }
 
 async function getAllBalances(telegramUserId) {
@@ -845,21 +3290,48 @@ async function getAllBalances(telegramUserId) {
     const ethereumWallet = await getOrCreateWallet(telegramUserId, 'ethereum');
 
     // Get balances for each wallet
-    const solanaBalance = await solanaTrading.getBalance(solanaWallet.id);
+    let solanaSection;
+    let solanaTotal = 0;
+    let solanaNote = '';
+    try {
+      const solanaHoldings = await solanaTrading.getTokenHoldings(solanaWallet.id, SOLANA_DUST_THRESHOLD_USD);
+      solanaSection = formatSolanaHoldings(solanaHoldings);
+      solanaTotal = solanaHoldings.totalUsd;
+    } catch (error) {
+      // Fall back to the native SOL balance if token holdings are unavailable,
+      // valued at the SOL price so the totals do not silently drop it
+      console.error('Error getting Solana holdings:', error);
+      const solanaBalance = await solanaTrading.getBalance(solanaWallet.id);
+      const solMint = (await solanaTrading.resolveToken('SOL')).mint;
+      const solPrice = await solanaTrading.getTokenPrice(solMint).catch(priceError => {
+        console.error('Error getting SOL price:', priceError);
+        return null;
+      });
+      solanaTotal = solPrice ? solanaBalance * solPrice : null;
+      solanaNote = ' (SOL only, token holdings unavailable)';
+      solanaSection = `• **SOL**: ${solanaBalance.toFixed(4)} SOL (${solPrice ? `$${solanaTotal.toFixed(2)}` : 'no price'})\n`;
+    }
     const hyperliquidBalance = await hyperliquidTrading.getBalance(ethereumWallet.id);
     const polymarketBalance = await polymarketTrading.getBalance(ethereumWallet.id);
 
+    const solanaTotalText = solanaTotal === null ? 'unavailable' : `$${solanaTotal.toFixed(2)}${solanaNote}`;
+    const portfolioTotal = (solanaTotal || 0) + hyperliquidBalance + polymarketBalance;
+    const portfolioTotalText = solanaTotal === null
+      ? `$${portfolioTotal.toFixed(2)} (excluding Solana, value unavailable)`
+      : `$${portfolioTotal.toFixed(2)}${solanaNote ? ' (Solana tokens other than SOL not included)' : ''}`;
+
     return `💰 **Your Balances:**
 
-🔗 **Solana Chain:**
-• **SOL**: ${solanaBalance.toFixed(4)} SOL
-• **Address**: \`${solanaWallet.address}\`
+🔗 **Solana Chain:** ${solanaTotalText}
+${solanaSection}• **Address**: \`${solanaWallet.address}\`
 
 🔗 **Ethereum Chain:**
 • **Hyperliquid**: $${hyperliquidBalance.toFixed(2)} ✅ (Perpetual Futures)
 • **Polymarket**: $${polymarketBalance.toFixed(2)} ✅ (Prediction Markets)
 • **Address**: \`${ethereumWallet.address}\`
 
+📊 **Portfolio Total:** ${portfolioTotalText}
+
 💡 **Trading Ready!** Use /trade to start trading.`;
   } catch (error) {
     console.error('Error getting balances:', error);
@@ -867,6 +3339,151 @@ async function getAllBalances(telegramUserId) {
   }
 }
 
+// Current USD value of each venue plus per-asset unrealized PnL.
+// `complete` is false when a venue could not be valued (no snapshot is taken then)
+async function getPortfolioValuation(telegramUserId) {
+  const solanaWallet = await getOrCreateWallet(telegramUserId, 'solana');
+  const ethereumWallet = await getOrCreateWallet(telegramUserId, 'ethereum');
+
+  // The venue clients fall back to empty results (flagged unavailable) when their
+  // API fails; count those as not valued rather than as a $0 balance
+  const [solanaHoldings, hyperliquidAccount, polymarketPositions] = await Promise.all([
+    solanaTrading.getTokenHoldings(solanaWallet.id).catch(error => {
+      console.error('Error valuing Solana holdings:', error);
+      return null;
+    }),
+    hyperliquidTrading.getPerpPositions(ethereumWallet.id).then(result => (result.unavailable ? null : result)).catch(error => {
+      console.error('Error valuing Hyperliquid account:', error);
+      return null;
+    }),
+    polymarketTrading.getPositions(ethereumWallet.id).then(result => (result.unavailable ? null : result)).catch(error => {
+      console.error('Error valuing Polymarket positions:', error);
+      return null;
+    })
+  ]);
+
+  // Solana has no exchange-side PnL: measure held tokens against the ledger's average cost
+  const solanaUnrealized = {};
+  if (solanaHoldings) {
+    tradeLedger.getPnlBooks(telegramUserId)
+      .filter(book => book.platform === 'solana' && book.qty > 0)
+      .forEach(book => {
+        const holding = solanaHoldings.holdings.find(h => h.symbol === book.asset);
+        if (holding && holding.usdPrice) {
+          solanaUnrealized[book.asset] = (holding.usdPrice - book.avgCost) * Math.min(book.qty, holding.amount);
+        }
+      });
+  }
+
+  const hyperliquidUnrealized = {};
+  (hyperliquidAccount?.positions || []).forEach(pos => {
+    hyperliquidUnrealized[pos.asset] = pos.unrealizedPnl;
+  });
+
+  const polymarketUnrealized = {};
+  (polymarketPositions?.positions || []).forEach(pos => {
+    polymarketUnrealized[`${pos.outcome} · ${pos.marketQuestion}`] = pos.pnl;
+  });
+
+  const venues = {
+    solana: { valueUsd: solanaHoldings?.totalUsd || 0, unrealized: solanaUnrealized },
+    hyperliquid: { valueUsd: hyperliquidAccount?.accountValue || 0, unrealized: hyperliquidUnrealized },
+    polymarket: { valueUsd: polymarketPositions?.totalValue || 0, unrealized: polymarketUnrealized }
+  };
+
+  return {
+    totalUsd: venues.solana.valueUsd + venues.hyperliquid.valueUsd + venues.polymarket.valueUsd,
+    venues,
+    complete: !!(solanaHoldings && hyperliquidAccount && polymarketPositions)
+  };
+}
+
+// Snapshot form of a valuation: just the USD totals
+function toSnapshot(valuation) {
+  return {
+    totalUsd: valuation.totalUsd,
+    venues: Object.fromEntries(Object.entries(valuation.venues).map(([venue, v]) => [venue, v.valueUsd]))
+  };
+}
+
+function formatUsdChange(value) {
+  return `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+}
+
+function formatPnlReport(telegramUserId, valuation, windowKey) {
+  const windowMs = PNL_WINDOWS[windowKey];
+  const since = windowMs ? Date.now() - windowMs : 0;
+  const baseline = snapshotStore.getBaseline(telegramUserId, since);
+  const books = tradeLedger.getPnlBooks(telegramUserId, since);
+
+  let message = `📈 **Portfolio PnL (${windowKey === 'all' ? 'all-time' : `last ${windowKey}`})**\n\n`;
+  message += `💼 **Net Worth:** $${valuation.totalUsd.toFixed(2)}\n`;
+
+  if (baseline) {
+    const change = valuation.totalUsd - baseline.totalUsd;
+    const percent = baseline.totalUsd > 0 ? ` (${((change / baseline.totalUsd) * 100).toFixed(2)}%)` : '';
+    message += `   Change: ${formatUsdChange(change)}${percent} since ${new Date(baseline.timestamp).toUTCString()}\n`;
+  } else {
+    message += `   Change: no snapshot yet — check back after the next one\n`;
+  }
+  if (!valuation.complete) {
+    message += `   ⚠️ Some venues could not be valued right now\n`;
+  }
+  message += '\n';
+
+  const venueLabels = { solana: '🟡 **Solana**', hyperliquid: '🔴 **Hyperliquid**', polymarket: '🟢 **Polymarket**' };
+  let totalRealized = 0;
+  let totalUnrealized = 0;
+
+  Object.entries(valuation.venues).forEach(([venue, { valueUsd, unrealized }]) => {
+    const venueBooks = books.filter(book => book.platform === venue);
+    const assets = new Set([
+      ...venueBooks.filter(book => book.realized !== 0).map(book => book.asset),
+      ...Object.keys(unrealized)
+    ]);
+
+    const realized = venueBooks.reduce((sum, book) => sum + book.realized, 0);
+    const unrealizedTotal = Object.values(unrealized).reduce((sum, value) => sum + value, 0);
+    totalRealized += realized;
+    totalUnrealized += unrealizedTotal;
+
+    const venueChange = baseline?.venues?.[venue] !== undefined ? ` (${formatUsdChange(valueUsd - baseline.venues[venue])})` : '';
+    message += `${venueLabels[venue]}: $${valueUsd.toFixed(2)}${venueChange}\n`;
+    message += `   Realized: ${formatUsdChange(realized)} | Unrealized: ${formatUsdChange(unrealizedTotal)}\n`;
+
+    [...assets].slice(0, 5).forEach(asset => {
+      const assetRealized = venueBooks.find(book => book.asset === asset)?.realized || 0;
+      const label = asset.length > 40 ? `${asset.substring(0, 40)}...` : asset;
+      message += `   • ${label}: ${formatUsdChange(assetRealized)} realized | ${formatUsdChange(unrealized[asset] || 0)} unrealized\n`;
+    });
+    if (assets.size > 5) {
+      message += `   • ...and ${assets.size - 5} more\n`;
+    }
+    message += '\n';
+  });
+
+  message += `📊 **Totals:** Realized ${formatUsdChange(totalRealized)} | Unrealized ${formatUsdChange(totalUnrealized)}\n\n`;
+  message += `💡 Realized PnL covers USD-quoted trades made through the bot (see /history). Net worth is snapshotted every ${PNL_SNAPSHOT_INTERVAL_MINUTES} min.`;
+
+  return message;
+}
+
+// Snapshot net worth for every user with trade or snapshot history
+async function takePortfolioSnapshots() {
+  const userIds = new Set([...snapshotStore.getUserIds(), ...tradeLedger.getUserIds()]);
+
+  for (const userId of userIds) {
+    try {
+      const valuation = await getPortfolioValuation(userId);
+      if (valuation.complete) {
+        snapshotStore.add(userId, toSnapshot(valuation));
+      }
+    } catch (error) {
+      console.error(`Error taking portfolio snapshot for user ${userId}:`, error);
+    }
+  }
+}
+
 // Export wallet private key using Privy's REST API with HPKE encryption
 async function exportWalletPrivateKey(walletId) {
   const { CipherSuite, DhkemP256HkdfSha256, HkdfSha256 } = require('@hpke/core');
@@ -961,87 +3578,708 @@ async function exportWalletPrivateKey(walletId) {
   }
 }
 
+// Tell the owner of each order that it expired without triggering
+function notifyExpiredOrders(expiredOrders, whileOffline = false) {
+  expiredOrders.forEach(order => {
+    const reason = whileOffline ? ' while the bot was offline' : '';
+    bot.sendMessage(order.chatId, `⌛ **Limit Order Expired${reason}**\n\n📋 **Order #${order.id}:**\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset} @ $${order.targetPrice}\n• Platform: ${order.platform}\n• Expired: ${order.expiresAt.toUTCString()}\n\nThe order was not executed. Use /limit to place it again.`)
+      .catch(error => console.error(`Error notifying expiry of order ${order.id}:`, error));
+  });
+}
+
+// Expire stale orders: a bracket entry that never filled takes its pending exits with it
+function expireStaleOrders(whileOffline = false) {
+  const expiredOrders = orderStore.expireStale();
+
+  expiredOrders.forEach(order => {
+    getLinkedOpenOrders(order)
+      .filter(linked => linked.status === 'pending')
+      .forEach(child => orderStore.update(child, { status: 'cancelled', cancelledAt: new Date(), cancelReason: `entry #${order.id} expired` }));
+  });
+
+  notifyExpiredOrders(expiredOrders, whileOffline);
+  return expiredOrders;
+}
+
+// Reload persisted limit orders on startup
+function restoreLimitOrders() {
+  try {
+    const expiredOrders = expireStaleOrders(true);
+
+    // An order still claimed as executing was mid-trade when the bot stopped. Whether
+    // the trade landed is unknown, so retire it rather than risk firing it twice
+    const interruptedOrders = orderStore.getOrdersByStatus('executing');
+    interruptedOrders.forEach(order => {
+      orderStore.update(order, { status: 'failed', lastError: 'Interrupted by a bot restart' });
+      bot.sendMessage(order.chatId, `⚠️ **Order #${order.id} was interrupted**\n\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset}\n• Platform: ${order.platform}\n\nThe bot restarted while this order was executing, so it may or may not have filled. It is now marked failed: check /balance before placing it again.`)
+        .catch(error => console.error(`Error notifying interrupted order ${order.id}:`, error));
+    });
+
+    console.log(`Restored ${orderStore.getActiveOrders().length} active limit orders (${expiredOrders.length} expired while offline, ${interruptedOrders.length} interrupted)`);
+  } catch (error) {
+    console.error('Error restoring limit orders:', error);
+  }
+}
+
+// Fetch prices for a batch of orders in one lookup per platform:
+// a single Jupiter price call for every Solana mint and one allMids call.
+// `store` is the OrderStore the items belong to, used to persist resolved mints
+async function fetchOrderPrices(orders, store) {
+  const prices = { solana: {}, hyperliquid: {}, polymarket: {} };
+
+  const solanaOrders = orders.filter(order => order.platform === 'solana');
+  if (solanaOrders.length > 0) {
+    try {
+      // Orders created before mints were stored are resolved once and saved
+      for (const order of solanaOrders.filter(o => !o.mint)) {
+        try {
+          const token = await solanaTrading.resolveToken(order.asset);
+          store.update(order, { mint: token.mint });
+        } catch (resolveError) {
+          console.error(`Error resolving mint for order ${order.id}:`, resolveError);
+        }
+      }
+
+      prices.solana = await solanaTrading.getTokenPrices(solanaOrders.map(order => order.mint));
+    } catch (error) {
+      console.error('Error fetching Solana prices:', error);
+    }
+  }
+
+  if (orders.some(order => order.platform === 'hyperliquid')) {
+    try {
+      prices.hyperliquid = await hyperliquidTrading.getAllMids();
+    } catch (error) {
+      console.error('Error fetching Hyperliquid prices:', error);
+    }
+  }
+
+  const polymarketTokenIds = orders.filter(order => order.platform === 'polymarket' && order.tokenId).map(order => order.tokenId);
+  if (polymarketTokenIds.length > 0) {
+    try {
+      prices.polymarket = await polymarketTrading.getMidpoints(polymarketTokenIds);
+    } catch (error) {
+      console.error('Error fetching Polymarket prices:', error);
+    }
+  }
+
+  return prices;
+}
+
+// The asset string a triggered Solana order trades, with its stored mint in place
+// of the symbol: several tokens can share a symbol, and searching it again may
+// pick a different one than the mint whose price triggered the order. Stops,
+// OCO legs and every leg of a bracket store their mint when they are created
+function getSolanaTradeAsset(order) {
+  if (!order.mint) {
+    return order.asset;
+  }
+  const { asset: baseAsset } = solanaTrading.parseAssetPair(order.asset);
+  return order.asset.replace(baseAsset, order.mint);
+}
+
+// Look up an order's current price from a fetchOrderPrices result
+function getOrderPrice(prices, order) {
+  if (order.platform === 'solana') {
+    return prices.solana[order.mint]?.usdPrice || null;
+  }
+  if (order.platform === 'hyperliquid') {
+    const midPrice = prices.hyperliquid[order.asset.toUpperCase()];
+    return midPrice ? parseFloat(midPrice) : null;
+  }
+  if (order.platform === 'polymarket') {
+    return prices.polymarket[order.tokenId] || null;
+  }
+  return null;
+}
+
+// Book a Hyperliquid order the exchange filled or closed: ledger row, linked
+// orders and a notification. Every caller of syncHyperliquidOrders passes its
+// changed orders through here, so a fill noticed by /orders or /cancel is not lost
+function handleHyperliquidOrderUpdate(order) {
+  if (order.status === 'executed') {
+    handleLinkedOrders(order, parseFloat(order.amount))
+      .catch(error => console.error(`Error updating orders linked to ${order.id}:`, error));
+
+    tradeLedger.record(order.userId, {
+      platform: 'hyperliquid',
+      side: order.action,
+      asset: order.asset,
+      size: order.filledAmount || parseFloat(order.amount),
+      price: order.executedPrice,
+      fees: order.fees,
+      txId: String(order.oid),
+      source: order.type || 'limit',
+      orderId: order.id
+    });
+  }
+
+  if (order.status === 'executed' && order.type) {
+    bot.sendMessage(order.chatId, `${order.type === 'tp' ? '🎯 **Take-Profit Triggered!**' : '🛑 **Stop-Loss Triggered!**'}\n\n✅ **Order #${order.id}:**\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset} (reduce-only)\n• Trigger: $${order.targetPrice}\n• Platform: hyperliquid\n\n💰 **Check /positions for your updated position!**`);
+  } else if (order.status === 'executed') {
+    bot.sendMessage(order.chatId, `🚀 **Limit Order Filled!**\n\n✅ **Order #${order.id}:**\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset} @ $${order.executedPrice}\n• Platform: hyperliquid\n\n💰 **Check /balance for updated funds!**`);
+  } else {
+    bot.sendMessage(order.chatId, `❌ **Limit Order Closed by Exchange**\n\n📋 **Order #${order.id}:**\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset} @ $${order.targetPrice}\n• Reason: ${order.cancelReason}`);
+  }
+}
+
+// Notify users when their resting Hyperliquid orders fill or get cancelled
+async function checkHyperliquidOrderFills() {
+  const nativeOrders = orderStore.getActiveOrders().filter(isExchangeOrder);
+
+  // One openOrders lookup per wallet
+  const ordersByWallet = new Map();
+  nativeOrders.forEach(order => {
+    if (!ordersByWallet.has(order.walletId)) {
+      ordersByWallet.set(order.walletId, []);
+    }
+    ordersByWallet.get(order.walletId).push(order);
+  });
+
+  for (const [walletId, orders] of ordersByWallet.entries()) {
+    try {
+      const { changed } = await syncHyperliquidOrders(walletId, orders);
+
+      changed.forEach(handleHyperliquidOrderUpdate);
+    } catch (error) {
+      console.error(`Error syncing Hyperliquid orders for wallet ${walletId}:`, error);
+    }
+  }
+}
+
+// Notify users when their Polymarket CLOB orders fill, expire or get cancelled
+async function checkPolymarketOrderFills() {
+  const clobOrders = orderStore.getActiveOrders().filter(isClobOrder);
+  if (clobOrders.length === 0) return;
+
+  try {
+    const { changed } = await syncPolymarketOrders(clobOrders);
+    changed.forEach(notifyPolymarketOrderUpdate);
+  } catch (error) {
+    console.error('Error syncing Polymarket orders:', error);
+  }
+}
+
+function notifyPolymarketOrderUpdate(order) {
+  if (order.status === 'executed') {
+    bot.sendMessage(order.chatId, `🚀 **Limit Order Filled!**\n\n✅ **Order #${order.id}:**\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset} @ ${formatOrderPrice(order)}\n• Platform: polymarket\n\n💰 **Check /positions for your updated shares!**`);
+  } else {
+    const filledLine = order.filledAmount > 0 ? `• Filled before closing: ${order.filledAmount}/${order.amount} shares\n` : '';
+    bot.sendMessage(order.chatId, `${order.status === 'expired' ? '⌛ **Limit Order Expired**' : '❌ **Limit Order Closed by Exchange**'}\n\n📋 **Order #${order.id}:**\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset} @ ${formatOrderPrice(order)}\n${filledLine}• Reason: ${order.cancelReason}`);
+  }
+}
+
+// A triggered order whose trade did not go through stays active and retries on
+// the next check, up to LIMIT_ORDER_MAX_ATTEMPTS, then is marked failed.
+// submitted: the trade may have gone out before it failed (a timeout after sending,
+// say). Retrying could trade twice, so the order is marked failed for the user to check
+function handleFailedOrderExecution(order, error, submitted = false) {
+  const attempts = (order.failedAttempts || 0) + 1;
+  const failed = submitted || attempts >= LIMIT_ORDER_MAX_ATTEMPTS;
+  orderStore.update(order, {
+    failedAttempts: attempts,
+    lastError: error,
+    status: failed ? 'failed' : 'active'
+  });
+
+  // A bracket entry that never filled takes its pending exits with it; OCO siblings stay
+  if (failed) {
+    getLinkedOpenOrders(order)
+      .filter(linked => linked.status === 'pending')
+      .forEach(child => orderStore.update(child, { status: 'cancelled', cancelledAt: new Date(), cancelReason: `entry #${order.id} failed` }));
+  }
+
+  const label = order.type === 'stop' ? 'Stop-loss' : order.type === 'trailing' ? 'Trailing stop' : 'Limit order';
+  const command = { stop: '/stop', trailing: '/trail' }[order.type] || '/limit';
+
+  if (submitted) {
+    bot.sendMessage(order.chatId, `⚠️ **${label} #${order.id} triggered, but the ${order.action} may or may not have gone through**\n\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset}\n• Error: ${error}\n\nThe trade was sent before the error, so the order is marked failed rather than retried. Check /balance, then place it again with ${command} if it did not fill.`);
+    return;
+  }
+
+  const next = failed
+    ? `The order is now marked failed after ${attempts} attempts. Place it again with ${command}.`
+    : `The order stays active and will retry on the next price check (attempt ${attempts}/${LIMIT_ORDER_MAX_ATTEMPTS}).`;
+
+  bot.sendMessage(order.chatId, `⚠️ **${label} #${order.id} triggered, but the ${order.action} did not go through**\n\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset}\n• Error: ${error}\n\n${next}`);
+}
+
+// Set while a limit order check runs so a slow tick is never overlapped by the next
+let limitOrderCheckRunning = false;
+
 // Limit order monitoring system
 async function checkLimitOrders() {
+  if (limitOrderCheckRunning) return;
+  limitOrderCheckRunning = true;
+
   try {
-    // Iterate through all users with limit orders
-    for (const [telegramUserId, userOrders] of limitOrders.entries()) {
-      // Filter active orders
-      const activeOrders = userOrders.filter(order => order.status === 'active');
+    // Drop orders that outlived their expiry before pricing anything
+    expireStaleOrders();
 
-      for (const order of activeOrders) {
-        try {
-          let currentPrice = null;
-
-          // Get current price based on platform
-          if (order.platform === 'solana') {
-            // For Solana, check if asset is SOL or get from Jupiter
-            if (order.asset.toUpperCase() === 'SOL') {
-              const solPriceResponse = await axios.get('https://lite-api.jup.ag/tokens/v2/search?query=SOL&limit=1');
-              if (solPriceResponse.data && solPriceResponse.data[0]) {
-                currentPrice = parseFloat(solPriceResponse.data[0].usdPrice);
-              }
-            } else {
-              // For other Solana tokens, we'd need to implement price checking
-              // For now, skip non-SOL tokens
-              continue;
+    // Native Hyperliquid and Polymarket CLOB orders rest on the exchange: only watch for fills
+    await checkHyperliquidOrderFills();
+    await checkPolymarketOrderFills();
+
+    const activeOrders = orderStore.getActiveOrders().filter(order => !isExchangeOrder(order) && !isClobOrder(order));
+    if (activeOrders.length === 0) return;
+
+    const prices = await fetchOrderPrices(activeOrders, orderStore);
+
+    for (const order of activeOrders) {
+      try {
+        const currentPrice = getOrderPrice(prices, order);
+
+        if (!currentPrice) continue;
+
+        // Trailing stops ratchet their trigger up with each new high
+        if (order.type === 'trailing' && currentPrice > order.highWaterMark) {
+          orderStore.update(order, {
+            highWaterMark: currentPrice,
+            targetPrice: computeTrailingTrigger(order, currentPrice)
+          });
+        }
+
+        // Check if condition is met: stops sell on the way down, limits buy low / sell high
+        let conditionMet = false;
+        if (order.type === 'stop' || order.type === 'trailing') {
+          conditionMet = currentPrice <= order.targetPrice;
+        } else if (order.action === 'buy' && currentPrice <= order.targetPrice) {
+          conditionMet = true;
+        } else if (order.action === 'sell' && currentPrice >= order.targetPrice) {
+          conditionMet = true;
+        }
+
+        if (conditionMet) {
+          // Claim the order on disk first so a crash mid-trade can never fire it twice
+          orderStore.update(order, { status: 'executing' });
+
+          // Execute the order
+          try {
+            let result = null;
+            if (order.platform === 'solana') {
+              result = await executeSolanaTrade(order.walletId, order.action, order.amount, getSolanaTradeAsset(order), order.chatId, null, userSettings.get(order.userId).slippageBps);
+            } else if (order.platform === 'hyperliquid') {
+              result = await executeHyperliquidTrade(order.walletId, order.action, order.amount, order.asset, order.chatId);
             }
-          } else if (order.platform === 'hyperliquid') {
-            // Get price from Hyperliquid
-            const midsResponse = await axios.post('https://api.hyperliquid.xyz/info', {
-              type: 'allMids'
-            }, { timeout: 5000 });
-
-            if (midsResponse.data && midsResponse.data[order.asset.toUpperCase()]) {
-              currentPrice = parseFloat(midsResponse.data[order.asset.toUpperCase()]);
+            // The execute helpers report failures in their result rather than throwing
+            if (!result || !result.success) {
+              handleFailedOrderExecution(order, result?.error || 'Unknown error', Boolean(result?.submitted));
+              continue;
             }
-          }
 
-          if (!currentPrice) continue;
+            recordTrade(order.userId, order.platform, order.action, result, { source: order.type || 'limit', orderId: order.id });
 
-          // Check if condition is met
-          let conditionMet = false;
-          if (order.action === 'buy' && currentPrice <= order.targetPrice) {
-            conditionMet = true;
-          } else if (order.action === 'sell' && currentPrice >= order.targetPrice) {
-            conditionMet = true;
-          }
+            // Mark order as executed
+            orderStore.update(order, {
+              status: 'executed',
+              executedAt: new Date(),
+              executedPrice: currentPrice
+            });
 
-          if (conditionMet) {
-            // Execute the order
-            try {
-              if (order.platform === 'solana') {
-                await executeSolanaTrade(order.walletId, order.action, order.amount, order.asset, order.chatId);
-              } else if (order.platform === 'hyperliquid') {
-                await executeHyperliquidTrade(order.walletId, order.action, order.amount, order.asset, order.chatId);
-              }
-
-              // Mark order as executed
-              order.status = 'executed';
-              order.executedAt = new Date();
-              order.executedPrice = currentPrice;
-
-              // Notify user
+            // Only a confirmed fill arms bracket exits and cancels OCO siblings
+            await handleLinkedOrders(order, result.trade?.size || null);
+
+            // Notify user
+            if (order.type === 'stop' || order.type === 'trailing') {
+              const trailLine = order.type === 'trailing'
+                ? `• High: $${order.highWaterMark.toPrecision(6)} (trail ${describeTrailDistance(order)})\n`
+                : '';
+              bot.sendMessage(order.chatId, `${order.type === 'stop' ? '🛑 **Stop-Loss Triggered!**' : '📉 **Trailing Stop Triggered!**'}\n\n✅ **Order #${order.id}:**\n• SELL ${order.amount} ${order.asset}\n• Trigger: $${order.targetPrice.toPrecision(6)}\n${trailLine}• Executed: $${currentPrice.toPrecision(6)}\n• Platform: ${order.platform}\n\n💰 **Check /balance for updated funds!**`);
+            } else {
               bot.sendMessage(order.chatId, `🚀 **Limit Order Executed!**\n\n✅ **Order #${order.id} Filled:**\n• ${order.action.toUpperCase()} ${order.amount} ${order.asset}\n• Target: $${order.targetPrice}\n• Executed: $${currentPrice.toFixed(4)}\n• Platform: ${order.platform}\n\n💰 **Check /balance for updated funds!**`);
+            }
 
-            } catch (executeError) {
-              console.error(`Error executing limit order ${order.id}:`, executeError);
-              // Could add retry logic here
+          } catch (executeError) {
+            console.error(`Error executing limit order ${order.id}:`, executeError);
+            // A throw after the order was marked executed happened past the trade itself;
+            // otherwise there is no telling how far the trade got, so never retry it
+            if (order.status === 'executing') {
+              handleFailedOrderExecution(order, executeError.message, true);
             }
           }
-
-        } catch (priceError) {
-          console.error(`Error checking price for order ${order.id}:`, priceError);
         }
+
+      } catch (priceError) {
+        console.error(`Error checking price for order ${order.id}:`, priceError);
       }
     }
   } catch (error) {
     console.error('Error in limit order monitoring:', error);
+  } finally {
+    limitOrderCheckRunning = false;
+  }
+}
+
+// Whether an alert's condition holds at the given price
+function isAlertConditionMet(alert, price) {
+  if (alert.condition === 'above') return price >= alert.value;
+  if (alert.condition === 'below') return price <= alert.value;
+  return Math.abs(price - alert.basePrice) / alert.basePrice * 100 >= alert.value;
+}
+
+// Price alert monitoring: notify only, never trade
+async function checkPriceAlerts() {
+  try {
+    const activeAlerts = alertStore.getActiveOrders();
+    if (activeAlerts.length === 0) return;
+
+    const prices = await fetchOrderPrices(activeAlerts, alertStore);
+
+    for (const alert of activeAlerts) {
+      const currentPrice = getOrderPrice(prices, alert);
+      if (!currentPrice) continue;
+
+      const conditionMet = isAlertConditionMet(alert, currentPrice);
+
+      // A recurring above/below alert fires once per crossing
+      if (!alert.armed) {
+        if (!conditionMet) {
+          alertStore.update(alert, { armed: true });
+        }
+        continue;
+      }
+      if (!conditionMet) continue;
+
+      const description = describeAlertCondition(alert);
+      if (!alert.recurring) {
+        alertStore.update(alert, { status: 'triggered', executedAt: new Date(), triggerCount: alert.triggerCount + 1 });
+      } else if (alert.condition === 'change') {
+        alertStore.update(alert, { basePrice: currentPrice, triggerCount: alert.triggerCount + 1 });
+      } else {
+        alertStore.update(alert, { armed: false, triggerCount: alert.triggerCount + 1 });
+      }
+
+      bot.sendMessage(alert.chatId, `🔔 **Price Alert #${alert.id}**\n\n• ${alert.platform}: ${alert.asset}\n• Price ${description}\n• Now: ${formatAlertPrice(alert.platform, currentPrice)}\n\n${alert.recurring ? `🔁 This alert stays active. Use /alerts remove ${alert.id} to stop it.` : '✅ One-shot alert completed.'}`)
+        .catch(error => console.error(`Error sending alert ${alert.id}:`, error));
+    }
+  } catch (error) {
+    console.error('Error in price alert monitoring:', error);
+  }
+}
+
+// Whether the wallet can fund one DCA buy. Returns null when it can, or the reason it cannot
+async function checkDcaFunds(plan) {
+  if (plan.platform === 'solana') {
+    const spendToken = await solanaTrading.getSpendToken(plan.asset, 'buy');
+    const balance = await solanaTrading.getTokenBalance(plan.walletId, spendToken.mint);
+    return balance < parseFloat(plan.amount)
+      ? `${balance.toFixed(4)} ${spendToken.symbol} available, ${plan.amount} needed`
+      : null;
+  }
+
+  // Hyperliquid: even at max leverage the margin must cover size / leverage
+  const [marketData, account] = await Promise.all([
+    hyperliquidTrading.getMarketData(plan.asset),
+    hyperliquidTrading.getPerpPositions(plan.walletId)
+  ]);
+  if (!marketData) {
+    return `market data for ${plan.asset} unavailable`;
+  }
+  const minMargin = parseFloat(plan.amount) * marketData.markPx / marketData.maxLeverage;
+  return account.withdrawable < minMargin
+    ? `$${account.withdrawable.toFixed(2)} withdrawable, at least $${minMargin.toFixed(2)} margin needed`
+    : null;
+}
+
+// Run one scheduled DCA buy and move the plan to its next slot
+async function runDcaPlan(plan) {
+  // Missed slots (e.g. while offline) collapse into this single buy
+  let nextRunAt = plan.nextRunAt + plan.intervalMs;
+  if (nextRunAt <= Date.now()) {
+    nextRunAt = Date.now() + plan.intervalMs;
+  }
+
+  // Claim the slot before trading so a slow buy is never sent twice
+  dcaStore.update(plan, { nextRunAt });
+
+  const shortfall = await checkDcaFunds(plan);
+  if (shortfall) {
+    dcaStore.update(plan, { skipped: plan.skipped + 1 });
+    bot.sendMessage(plan.chatId, `⏭️ **DCA Buy Skipped (Plan #${plan.id})**\n\n• Insufficient balance: ${shortfall}\n• Next buy: ${new Date(nextRunAt).toUTCString()}\n\nTop up your wallet or use /dca pause ${plan.id}.`);
+    return;
+  }
+
+  const result = plan.platform === 'solana'
+    ? await executeSolanaTrade(plan.walletId, 'buy', plan.amount, plan.asset, plan.chatId, null, userSettings.get(plan.userId).slippageBps)
+    : await executeHyperliquidTrade(plan.walletId, 'buy', plan.amount, plan.asset, plan.chatId);
+  recordTrade(plan.userId, plan.platform, 'buy', result, { source: 'dca', orderId: plan.id });
+
+  if (!result || !result.success || !result.trade) {
+    // The trade module already reported the error; try again next slot
+    return;
+  }
+
+  const runs = plan.runs + 1;
+  const completed = plan.times && runs >= plan.times;
+  dcaStore.update(plan, {
+    runs,
+    totalSpent: plan.totalSpent + result.trade.size * result.trade.price,
+    totalReceived: plan.totalReceived + result.trade.size,
+    status: completed && plan.status === 'active' ? 'completed' : plan.status,
+    executedAt: new Date()
+  });
+
+  bot.sendMessage(plan.chatId, `📆 **DCA Buy ${runs}${plan.times ? `/${plan.times}` : ''} (Plan #${plan.id})**\n\n${formatDcaSummary(plan)}\n\n${completed ? '✅ Plan completed.' : `⏰ Next buy: ${new Date(nextRunAt).toUTCString()}`}`);
+}
+
+async function checkDcaPlans() {
+  const duePlans = dcaStore.getActiveOrders().filter(plan => plan.nextRunAt <= Date.now());
+
+  for (const plan of duePlans) {
+    try {
+      await runDcaPlan(plan);
+    } catch (error) {
+      console.error(`Error running DCA plan ${plan.id}:`, error);
+    }
+  }
+}
+
+// Send one TWAP slice, or skip it when the estimated price impact is too high
+async function runTwapSlice(twap) {
+  const sliceNumber = twap.slicesDone + twap.slicesSkipped + 1;
+  const sliceAmount = twap.sliceAmount.toString();
+  const slippageBps = userSettings.get(twap.userId).slippageBps;
+
+  let impactPct;
+  let quotedOrder = null;
+  if (twap.platform === 'solana') {
+    const quote = await solanaTrading.getQuote(twap.walletId, twap.action, sliceAmount, twap.asset, slippageBps);
+    if (quote.error) {
+      throw new Error(quote.error);
+    }
+    quotedOrder = quote.order;
+    impactPct = Math.abs(parseFloat(quotedOrder.priceImpactPct || 0));
+  } else {
+    impactPct = await hyperliquidTrading.estimatePriceImpact(twap.asset, twap.action, twap.sliceAmount);
+  }
+
+  let outcome;
+  const progress = {};
+  if (impactPct > twap.maxImpactPct) {
+    progress.slicesSkipped = twap.slicesSkipped + 1;
+    outcome = `⏭️ Slice ${sliceNumber}/${twap.slices} skipped: price impact ${isFinite(impactPct) ? `${impactPct.toFixed(2)}%` : 'beyond visible book'} > ${twap.maxImpactPct}%`;
+  } else {
+    const result = twap.platform === 'solana'
+      ? await executeSolanaTrade(twap.walletId, twap.action, sliceAmount, twap.asset, twap.chatId, quotedOrder, slippageBps)
+      : await executeHyperliquidTrade(twap.walletId, twap.action, sliceAmount, twap.asset, twap.chatId);
+    recordTrade(twap.userId, twap.platform, twap.action, result, { source: 'twap', orderId: twap.id });
+
+    if (result && result.success && result.trade) {
+      progress.slicesDone = twap.slicesDone + 1;
+      progress.filledSize = twap.filledSize + result.trade.size;
+      progress.filledNotional = twap.filledNotional + result.trade.size * result.trade.price;
+      outcome = `✅ Slice ${sliceNumber}/${twap.slices} filled: ${result.trade.size.toPrecision(6)} ${twap.baseAsset} @ ${result.trade.price.toPrecision(6)} ${twap.quoteAsset}`;
+    } else {
+      // Failed slices count as skipped so the schedule still ends on time
+      progress.slicesSkipped = twap.slicesSkipped + 1;
+      outcome = `❌ Slice ${sliceNumber}/${twap.slices} failed: ${result?.error || 'unknown error'}`;
+    }
+  }
+
+  // The order may have been cancelled while this slice was in flight
+  const finished = sliceNumber >= twap.slices;
+  twapStore.update(twap, {
+    ...progress,
+    status: twap.status === 'active' && finished ? 'completed' : twap.status,
+    executedAt: finished ? new Date() : twap.executedAt
+  });
+
+  const footer = twap.status === 'cancelled'
+    ? '🛑 TWAP was cancelled; no further slices will be sent.'
+    : finished
+    ? `🏁 **TWAP #${twap.id} complete.**${twap.slicesSkipped > 0 ? ` ${(twap.slicesSkipped * twap.sliceAmount).toPrecision(6)} of ${twap.amount} was not executed.` : ''}`
+    : `⏰ Next slice: ${new Date(twap.nextRunAt).toUTCString()}`;
+  bot.sendMessage(twap.chatId, `⏱️ **TWAP #${twap.id} Progress**\n\n${outcome}\n\n${formatTwapProgress(twap)}\n${footer}`);
+}
+
+async function checkTwapOrders() {
+  const dueTwaps = twapStore.getActiveOrders().filter(twap => twap.nextRunAt <= Date.now());
+
+  for (const twap of dueTwaps) {
+    // Claim the slot before trading so a slow slice is never sent twice;
+    // slots missed while offline are spread out rather than fired back to back
+    twapStore.update(twap, { nextRunAt: Math.max(twap.nextRunAt, Date.now()) + twap.sliceIntervalMs });
+
+    try {
+      await runTwapSlice(twap);
+    } catch (error) {
+      console.error(`Error running TWAP ${twap.id}:`, error);
+      // Give up on this slice and keep to the schedule
+      const finished = twap.slicesDone + twap.slicesSkipped + 1 >= twap.slices;
+      twapStore.update(twap, {
+        slicesSkipped: twap.slicesSkipped + 1,
+        status: twap.status === 'active' && finished ? 'completed' : twap.status
+      });
+      bot.sendMessage(twap.chatId, `❌ TWAP #${twap.id} slice skipped: ${error.message}`);
+    }
+  }
+}
+
+// Users the bot knows (ledger, snapshots, orders, settings) with the Ethereum
+// wallet their Polymarket shares sit in. Shares bought or transferred outside
+// the bot count too; the private chat ID is the user ID
+async function getPolymarketWalletHolders() {
+  const userIds = new Set([
+    ...tradeLedger.getUserIds(),
+    ...snapshotStore.getUserIds(),
+    ...orderStore.getUserIds(),
+    ...userSettings.getUserIds()
+  ]);
+  const holders = [];
+
+  for (const userId of userIds) {
+    try {
+      holders.push({ userId, wallet: await getOrCreateWallet(userId, 'ethereum') });
+    } catch (error) {
+      console.error(`Error getting Ethereum wallet for user ${userId}:`, error);
+    }
+  }
+  return holders;
+}
+
+// Redeem a resolved market's winning shares and book the payout. Every unredeemed
+// record in the same market goes with it, as one transaction redeems all outcomes
+async function redeemResolvedMarket(record) {
+  const records = resolutionStore.getUserOrders(record.userId)
+    .filter(r => r.conditionId === record.conditionId && r.status === 'active');
+  if (records.length === 0) {
+    return { success: false, error: 'Already redeemed or in progress' };
+  }
+
+  // Claim the records first so a button tap and auto-redeem never send two transactions
+  records.forEach(r => resolutionStore.update(r, { status: 'redeeming' }));
+
+  let result;
+  try {
+    const wallet = await getOrCreateWallet(record.userId, 'ethereum');
+    result = await polymarketTrading.redeemPositions(wallet.id, record.conditionId);
+  } catch (error) {
+    console.error(`Error redeeming Polymarket market ${record.conditionId}:`, error);
+    result = { success: false, error: error.message };
+  }
+
+  // Release the claim on any failure so the winnings can be redeemed again
+  if (!result.success) {
+    records.forEach(r => resolutionStore.update(r, { status: 'active', lastError: result.error }));
+    return result;
+  }
+
+  records.forEach(r => {
+    resolutionStore.update(r, { status: 'redeemed', redeemedAt: Date.now(), txHash: result.txHash });
+    tradeLedger.record(r.userId, {
+      platform: 'polymarket',
+      side: 'sell',
+      asset: `${r.outcome} · ${r.marketQuestion}`,
+      size: r.shares,
+      price: r.payoutPerShare,
+      quoteAsset: 'USDC',
+      fees: 0,
+      txId: result.txHash,
+      source: 'redeem'
+    });
+  });
+
+  return { ...result, payout: records.reduce((sum, r) => sum + r.payout, 0) };
+}
+
+// Redeem and report the outcome to the user
+async function redeemAndNotify(record, chatId) {
+  const result = await redeemResolvedMarket(record);
+
+  if (result.success) {
+    bot.sendMessage(chatId, `💰 **Polymarket Winnings Redeemed!**\n\n📊 ${record.marketQuestion}\n• Payout: $${result.payout.toFixed(2)} USDC.e\n• Tx: https://polygonscan.com/tx/${result.txHash}\n\n💰 **Check /balance for updated funds!**`);
+  } else {
+    bot.sendMessage(chatId, `❌ Redemption #${record.id} failed: ${result.error}\n\nTry again with /redeem ${record.id}.`);
+  }
+  return result;
+}
+
+// In-flight resolution checks by user: /redeem and the interval share one run
+// rather than both recording (and announcing) the same resolved position
+const resolutionChecks = new Map();
+
+function checkUserResolutions(userId, wallet) {
+  const key = String(userId);
+  if (!resolutionChecks.has(key)) {
+    resolutionChecks.set(key, runUserResolutionCheck(userId, wallet)
+      .finally(() => resolutionChecks.delete(key)));
+  }
+  return resolutionChecks.get(key);
+}
+
+// Record newly resolved positions of one user, notify them and redeem if they opted in
+async function runUserResolutionCheck(userId, wallet) {
+  const positions = await polymarketTrading.getResolvedPositions(wallet.id);
+  const known = resolutionStore.getUserOrders(userId);
+  const autoRedeem = userSettings.get(userId).autoRedeem;
+
+  for (const position of positions) {
+    if (known.some(r => r.conditionId === position.conditionId && r.tokenId === position.tokenId)) continue;
+
+    const won = position.currentPrice > 0;
+    const record = resolutionStore.add(userId, {
+      conditionId: position.conditionId,
+      tokenId: position.tokenId,
+      marketQuestion: position.marketQuestion,
+      outcome: position.outcome,
+      shares: position.shares,
+      payoutPerShare: position.currentPrice,
+      payout: position.shares * position.currentPrice,
+      status: won ? 'active' : 'lost', // active: winnings waiting to be redeemed
+      createdAt: new Date()
+    });
+
+    if (!won) {
+      // Nothing to redeem: close the position in the ledger at zero
+      tradeLedger.record(userId, {
+        platform: 'polymarket',
+        side: 'sell',
+        asset: `${position.outcome} · ${position.marketQuestion}`,
+        size: position.shares,
+        price: 0,
+        quoteAsset: 'USDC',
+        fees: 0,
+        source: 'resolved'
+      });
+      bot.sendMessage(userId, `📉 **Polymarket Market Resolved**\n\n📊 ${position.marketQuestion}\n• Your outcome: ${position.outcome} (${position.shares.toFixed(2)} shares)\n• Result: lost, payout $0.00`);
+      continue;
+    }
+
+    bot.sendMessage(userId, `🏁 **Polymarket Market Resolved!**\n\n📊 ${position.marketQuestion}\n• Your outcome: ${position.outcome} ✅\n• Shares: ${position.shares.toFixed(2)} × $${position.currentPrice.toFixed(2)}\n• Payout: $${record.payout.toFixed(2)} USDC.e\n\n${autoRedeem ? '🔄 Redeeming automatically...' : `Redeem now, or later with /redeem ${record.id}. Redemption pays Polygon gas in POL.`}`, {
+      reply_markup: autoRedeem ? undefined : {
+        inline_keyboard: [[{ text: `💰 Redeem $${record.payout.toFixed(2)}`, callback_data: `redeem:${record.id}` }]]
+      }
+    });
+
+    if (autoRedeem) {
+      await redeemAndNotify(record, userId);
+    }
   }
 }
 
-// Start limit order monitoring (check every 30 seconds)
+// Watch held Polymarket markets for resolution
+async function checkPolymarketResolutions() {
+  for (const { userId, wallet } of await getPolymarketWalletHolders()) {
+    try {
+      await checkUserResolutions(userId, wallet);
+    } catch (error) {
+      console.error(`Error checking Polymarket resolutions for user ${userId}:`, error);
+    }
+  }
+}
+
+// Reload persisted orders, then start limit order monitoring (check every 30 seconds)
+restoreLimitOrders();
 setInterval(checkLimitOrders, 30000);
+setInterval(checkPriceAlerts, 30000);
+setInterval(checkDcaPlans, 60000);
+setInterval(checkTwapOrders, 15000);
+
+// Portfolio snapshots back the /pnl change windows
+setInterval(takePortfolioSnapshots, PNL_SNAPSHOT_INTERVAL_MINUTES * 60 * 1000);
+
+// Resolved Polymarket markets: notify holders and redeem winnings
+setInterval(checkPolymarketResolutions, POLYMARKET_RESOLUTION_CHECK_MINUTES * 60 * 1000);
 
 // Error handling
 bot.on('polling_error', (error) => {
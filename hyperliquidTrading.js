@@ -1,6 +1,20 @@
 const axios = require('axios');
 const { Wallet, ethers } = require('ethers');
 
+// Worst-case slippage allowed when a market trigger order fires
+const TRIGGER_MARKET_SLIPPAGE = 0.1;
+
+// Base-tier taker fee, used for quote previews
+const TAKER_FEE_RATE = 0.00045;
+
+// EIP-712 domain used to sign every Hyperliquid exchange action
+const SIGNING_DOMAIN = {
+  name: 'HyperliquidSign',
+  version: '1',
+  chainId: 1337, // Hyperliquid uses chainId 1337
+  verifyingContract: '0x0000000000000000000000000000000000000000'
+};
+
 class HyperliquidTrading {
   constructor(privyClient) {
     this.privy = privyClient;
@@ -19,34 +33,138 @@ class HyperliquidTrading {
 
   async executeTrade(walletId, action, amount, asset, chatId, bot) {
     try {
-      bot.sendMessage(chatId, `🔄 Processing Hyperliquid ${action} ${amount} ${asset}...`);
+      // Split "BTC tp=110000 sl=90000" into the asset and its TP/SL triggers
+      const { asset: coin, tp, sl } = this.parseTpslArgs(asset);
 
-      // Get wallet address from Privy
-      const wallet = await this.privy.walletApi.getWallet(walletId);
-      const walletAddress = wallet.address;
+      bot.sendMessage(chatId, `🔄 Processing Hyperliquid ${action} ${amount} ${coin}...`);
 
       // Get market data first
-      const marketData = await this.getMarketData(asset);
+      const marketData = await this.getMarketData(coin);
       if (!marketData) {
         bot.sendMessage(chatId, '❌ Unable to get market data. Please check the asset symbol and try again.');
-        return;
+        return null;
       }
 
-      // Create the order
-      const order = await this.createOrder(walletAddress, action, amount, asset, marketData);
+      // Create the order, grouped with any TP/SL triggers
+      const order = await this.createOrder(walletId, action, amount, coin, marketData, { tp, sl });
 
       if (order && order.success) {
-        bot.sendMessage(chatId, `✅ Successfully executed ${action} ${amount} ${asset}\nOrder ID: ${order.orderId || 'Market Order'}\nPrice: $${order.price || marketData.markPx}\nStatus: ${order.status || 'Filled'}`);
+        let message = `✅ Successfully executed ${action} ${amount} ${coin}\nOrder ID: ${order.orderId || 'Market Order'}\nPrice: $${order.price || marketData.markPx}\nStatus: ${order.status || 'Filled'}`;
+        order.triggers.forEach(trigger => {
+          message += `\n${trigger.tpsl === 'tp' ? '🎯 Take-profit' : '🛑 Stop-loss'}: $${trigger.triggerPx} (${trigger.isMarket ? 'market' : `limit $${trigger.limitPx}`})`;
+        });
+        bot.sendMessage(chatId, message);
       } else {
         bot.sendMessage(chatId, `❌ Failed to execute trade: ${order?.error || 'Unknown error'}`);
       }
 
+      return order;
     } catch (error) {
       console.error('Error executing Hyperliquid trade:', error);
       bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+      return null;
     }
   }
 
+  // Preview of a market order for confirmation: mark price, size and notional
+  async getQuote(action, amount, asset) {
+    const { asset: coin, tp, sl } = this.parseTpslArgs(asset);
+    const marketData = await this.getMarketData(coin);
+
+    if (!marketData) {
+      return { error: '❌ Unable to get market data. Please check the asset symbol and try again.' };
+    }
+
+    const size = parseFloat(amount);
+    const notional = size * marketData.markPx;
+    const isLong = action === 'buy';
+    if (tp) this.validateTriggerPrice('tp', tp, isLong, marketData.markPx);
+    if (sl) this.validateTriggerPrice('sl', sl, isLong, marketData.markPx);
+
+    return {
+      lines: [
+        `📊 **Market:** ${marketData.name}-PERP`,
+        `🔄 **Order:** ${isLong ? 'LONG' : 'SHORT'} ${size} ${marketData.name} (IOC market)`,
+        `💰 **Mark Price:** $${marketData.markPx}`,
+        `💵 **Notional:** ~$${notional.toFixed(2)}`,
+        `💸 **Est. Fee:** ~$${(notional * TAKER_FEE_RATE).toFixed(2)} (${(TAKER_FEE_RATE * 100).toFixed(3)}% taker)`,
+        `⚙️ **Max Leverage:** ${marketData.maxLeverage}x`,
+        ...(tp ? [`🎯 **Take-profit:** $${tp}`] : []),
+        ...(sl ? [`🛑 **Stop-loss:** $${sl}`] : [])
+      ]
+    };
+  }
+
+  // Parse "<asset> [tp=<price>] [sl=<price>]"
+  parseTpslArgs(asset) {
+    const tokens = asset.trim().split(/\s+/);
+    const result = { asset: tokens[0], tp: null, sl: null };
+
+    tokens.slice(1).forEach(token => {
+      const match = token.match(/^(tp|sl)=(\d*\.?\d+)$/i);
+      if (!match) {
+        throw new Error(`Unrecognised argument "${token}". Use tp=<price> and/or sl=<price>.`);
+      }
+      result[match[1].toLowerCase()] = parseFloat(match[2]);
+    });
+
+    return result;
+  }
+
+  // Check trigger prices sit on the correct side of the mark (or a bracket's
+  // entry price) for a position direction
+  validateTriggerPrice(tpsl, triggerPx, isLong, markPx, referenceLabel = 'mark price') {
+    const above = triggerPx > markPx;
+    const valid = tpsl === 'tp' ? above === isLong : above !== isLong;
+
+    if (!valid) {
+      const side = (tpsl === 'tp') === isLong ? 'above' : 'below';
+      throw new Error(`${tpsl === 'tp' ? 'Take-profit' : 'Stop-loss'} for a ${isLong ? 'long' : 'short'} must be ${side} the ${referenceLabel} ($${markPx})`);
+    }
+  }
+
+  // Current mid price for every asset: { [asset]: midPriceString }
+  async getAllMids() {
+    const baseUrl = this.isTestnet ? this.testnetApiUrl : this.apiUrl;
+    const response = await axios.post(`${baseUrl}/info`, {
+      type: 'allMids'
+    }, { timeout: 5000 });
+
+    return response.data || {};
+  }
+
+  // Estimated price impact (%) of a market order: walk the L2 book for `size`
+  // and compare the average fill with the mid price
+  async estimatePriceImpact(asset, action, size) {
+    const baseUrl = this.isTestnet ? this.testnetApiUrl : this.apiUrl;
+    const response = await axios.post(`${baseUrl}/info`, {
+      type: 'l2Book',
+      coin: asset.toUpperCase()
+    }, { timeout: 5000 });
+
+    const [bids, asks] = response.data?.levels || [[], []];
+    if (bids.length === 0 || asks.length === 0) {
+      throw new Error(`No order book for ${asset}`);
+    }
+
+    const mid = (parseFloat(bids[0].px) + parseFloat(asks[0].px)) / 2;
+    let remaining = parseFloat(size);
+    let notional = 0;
+
+    for (const level of action === 'buy' ? asks : bids) {
+      const fill = Math.min(remaining, parseFloat(level.sz));
+      notional += fill * parseFloat(level.px);
+      remaining -= fill;
+      if (remaining <= 0) break;
+    }
+
+    if (remaining > 0) {
+      return Infinity; // Deeper than the visible book
+    }
+
+    return Math.abs(notional / parseFloat(size) - mid) / mid * 100;
+  }
+
   async getMarketData(asset) {
     try {
       const baseUrl = this.isTestnet ? this.testnetApiUrl : this.apiUrl;
@@ -79,7 +197,8 @@ class HyperliquidTrading {
         oraclePx: parseFloat(midPrice), // Using mid price as oracle price
         fundingRate: 0, // Would need separate call for funding rates
         szDecimals: assetInfo.szDecimals,
-        maxLeverage: assetInfo.maxLeverage
+        maxLeverage: assetInfo.maxLeverage,
+        onlyIsolated: assetInfo.onlyIsolated || false
       };
     } catch (error) {
       console.error('Error getting Hyperliquid market data:', error);
@@ -87,119 +206,516 @@ class HyperliquidTrading {
     }
   }
 
-  async createOrder(walletId, action, amount, asset, marketData) {
+  async createOrder(walletId, action, amount, asset, marketData, tpsl = {}) {
     try {
-      // Get wallet for address
-      const wallet = await this.privy.walletApi.getWallet(walletId);
-      const walletAddress = wallet.address;
+      const isLong = action === 'buy';
+      const triggers = ['tp', 'sl']
+        .filter(kind => tpsl[kind])
+        .map(kind => {
+          this.validateTriggerPrice(kind, tpsl[kind], isLong, marketData.markPx);
+          return this.buildTriggerOrder(marketData, isLong ? 'sell' : 'buy', amount, kind, tpsl[kind]);
+        });
 
-      // Export private key for signing
-      const privateKey = await this.exportWalletPrivateKey(walletId);
+      // Market orders are sent as IOC orders at the current mark price;
+      // TP/SL children are grouped with the entry so they arm once it fills
+      const [status, ...triggerStatuses] = await this.submitOrders(walletId, [
+        this.buildOrder(marketData, action, amount, marketData.markPx, { limit: { tif: 'Ioc' } }),
+        ...triggers.map(trigger => trigger.order)
+      ], triggers.length > 0 ? 'normalTpsl' : 'na');
 
-      if (!privateKey) {
-        throw new Error('Failed to access wallet private key for signing');
+      // An IOC order that matched nothing is cancelled by the exchange: nothing was traded
+      if (!status.filled) {
+        return { success: false, error: 'Market order did not fill (no liquidity at the mark price)', submitted: false };
       }
 
-      // Create ethers signer
-      const signer = await this.getSigner(privateKey, walletAddress);
-
-      // Calculate order size in base units (considering szDecimals)
-      const szDecimals = marketData.szDecimals || 0;
-      const orderSize = parseFloat(amount) * Math.pow(10, szDecimals);
-
-      // Create order data structure - CORRECTED for Hyperliquid
-      const orderData = {
-        type: 'order',
-        grouping: 'na',
-        orders: [{
-          asset: marketData.assetIndex,
-          isBuy: action === 'buy',
-          reduceOnly: false,
-          size: orderSize,
-          limitPx: marketData.markPx.toString(), // Convert to string as required
-          tif: 'Ioc' // Immediate or Cancel
-        }]
+      const executedPrice = status.avgPx || marketData.markPx;
+      const executedAmount = status.totalSz || amount;
+
+      return {
+        success: true,
+        orderId: status.oid || Date.now().toString(),
+        price: executedPrice,
+        executedPrice,
+        executedAmount,
+        asset: marketData.name,
+        status: 'filled',
+        trade: {
+          asset: marketData.name,
+          size: parseFloat(executedAmount),
+          price: executedPrice,
+          quoteAsset: 'USD',
+          fees: parseFloat(executedAmount) * executedPrice * TAKER_FEE_RATE, // Estimated at the taker rate
+          txId: status.oid ? String(status.oid) : null,
+          status: 'executed'
+        },
+        triggers: triggers.map((trigger, i) => ({
+          ...trigger.details,
+          oid: triggerStatuses[i].oid
+        }))
       };
+    } catch (error) {
+      console.error('Error creating Hyperliquid order:', error);
+      // submitted: the order may have reached the exchange despite the error
+      return { success: false, error: error.message, submitted: Boolean(error.submitted) };
+    }
+  }
 
-      // CORRECT EIP-712 SIGNATURE GENERATION FOR HYPERLIQUID
-      const domain = {
-        name: 'HyperliquidSign',
-        version: '1',
-        chainId: 1337, // Hyperliquid uses chainId 1337
-        verifyingContract: '0x0000000000000000000000000000000000000000'
+  // Place a resting limit order on the book (GTC, or ALO for post-only).
+  // tpsl: optional { tp, sl } bracket children the exchange arms once the entry fills
+  async placeLimitOrder(walletId, action, amount, asset, price, postOnly = false, tpsl = {}) {
+    try {
+      const marketData = await this.getMarketData(asset);
+      if (!marketData) {
+        throw new Error(`Asset ${asset} not found on Hyperliquid`);
+      }
+
+      const isLong = action === 'buy';
+      const triggers = ['tp', 'sl']
+        .filter(kind => tpsl[kind])
+        .map(kind => {
+          this.validateTriggerPrice(kind, tpsl[kind], isLong, price, 'entry price');
+          return this.buildTriggerOrder(marketData, isLong ? 'sell' : 'buy', amount, kind, tpsl[kind]);
+        });
+
+      const tif = postOnly ? 'Alo' : 'Gtc';
+      const [status, ...triggerStatuses] = await this.submitOrders(walletId, [
+        this.buildOrder(marketData, action, amount, price, { limit: { tif } }),
+        ...triggers.map(trigger => trigger.order)
+      ], triggers.length > 0 ? 'normalTpsl' : 'na');
+
+      return {
+        success: true,
+        oid: status.oid,
+        tif,
+        status: status.filled ? 'filled' : 'resting',
+        avgPx: status.avgPx || null,
+        asset: marketData.name,
+        triggers: triggers.map((trigger, i) => ({
+          ...trigger.details,
+          oid: triggerStatuses[i].oid
+        }))
+      };
+    } catch (error) {
+      console.error('Error placing Hyperliquid limit order:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Signed size of the open position in an asset (throws when there is none)
+  async getOpenPositionSize(walletId, marketData) {
+    const state = await this.getPositions(walletId);
+    const assetPosition = (state?.assetPositions || []).find(p =>
+      p.position?.coin === marketData.name && parseFloat(p.position.szi) !== 0
+    );
+
+    if (!assetPosition) {
+      throw new Error(`No open ${marketData.name} position to protect`);
+    }
+
+    return parseFloat(assetPosition.position.szi);
+  }
+
+  // Attach a reduce-only TP or SL trigger to an open position
+  async placePositionTpsl(walletId, asset, tpsl, triggerPx, limitPx = null) {
+    try {
+      const marketData = await this.getMarketData(asset);
+      if (!marketData) {
+        throw new Error(`Asset ${asset} not found on Hyperliquid`);
+      }
+
+      const size = await this.getOpenPositionSize(walletId, marketData);
+      const isLong = size > 0;
+      this.validateTriggerPrice(tpsl, triggerPx, isLong, marketData.markPx);
+
+      const trigger = this.buildTriggerOrder(marketData, isLong ? 'sell' : 'buy', Math.abs(size), tpsl, triggerPx, limitPx);
+      const [status] = await this.submitOrders(walletId, [trigger.order], 'positionTpsl');
+
+      return {
+        success: true,
+        ...trigger.details,
+        asset: marketData.name,
+        size: Math.abs(size),
+        oid: status.oid
+      };
+    } catch (error) {
+      console.error('Error placing Hyperliquid TP/SL:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Place an independent reduce-only TP and SL on part (or all) of a position.
+  // They are not grouped: the caller cancels the survivor once one fires
+  async placeOcoTriggers(walletId, asset, amount, tpPx, slPx) {
+    try {
+      const marketData = await this.getMarketData(asset);
+      if (!marketData) {
+        throw new Error(`Asset ${asset} not found on Hyperliquid`);
+      }
+
+      const size = await this.getOpenPositionSize(walletId, marketData);
+      if (parseFloat(amount) > Math.abs(size)) {
+        throw new Error(`Amount ${amount} exceeds the open ${marketData.name} position (${Math.abs(size)})`);
+      }
+
+      const isLong = size > 0;
+      this.validateTriggerPrice('tp', tpPx, isLong, marketData.markPx);
+      this.validateTriggerPrice('sl', slPx, isLong, marketData.markPx);
+
+      const triggers = [
+        this.buildTriggerOrder(marketData, isLong ? 'sell' : 'buy', amount, 'tp', tpPx),
+        this.buildTriggerOrder(marketData, isLong ? 'sell' : 'buy', amount, 'sl', slPx)
+      ];
+      const statuses = await this.submitOrders(walletId, triggers.map(trigger => trigger.order));
+
+      return {
+        success: true,
+        asset: marketData.name,
+        triggers: triggers.map((trigger, i) => ({
+          ...trigger.details,
+          oid: statuses[i].oid
+        }))
+      };
+    } catch (error) {
+      console.error('Error placing Hyperliquid OCO triggers:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Round a price to what Hyperliquid accepts for a perp: at most 5 significant figures
+  // and 6 - szDecimals decimals. Integer prices are valid at any magnitude
+  roundPrice(price, szDecimals = 0) {
+    const value = parseFloat(price);
+    if (value >= 100000) {
+      return Math.round(value);
+    }
+    return parseFloat(parseFloat(value.toPrecision(5)).toFixed(Math.max(0, 6 - szDecimals)));
+  }
+
+  // Build a reduce-only trigger order; market triggers get a slippage-bounded limit price
+  buildTriggerOrder(marketData, action, amount, tpsl, triggerPx, limitPx = null) {
+    const szDecimals = marketData.szDecimals || 0;
+    const isMarket = !limitPx;
+    const roundedTriggerPx = this.roundPrice(triggerPx, szDecimals);
+    const price = this.roundPrice(isMarket
+      ? roundedTriggerPx * (action === 'buy' ? 1 + TRIGGER_MARKET_SLIPPAGE : 1 - TRIGGER_MARKET_SLIPPAGE)
+      : limitPx, szDecimals);
+
+    return {
+      order: this.buildOrder(marketData, action, amount, price, {
+        trigger: { isMarket, triggerPx: roundedTriggerPx.toString(), tpsl }
+      }, true),
+      details: {
+        tpsl,
+        triggerPx: roundedTriggerPx,
+        isMarket,
+        limitPx: isMarket ? null : price,
+        action,
+        amount
+      }
+    };
+  }
+
+  // Cancel a resting order by oid
+  async cancelOrder(walletId, asset, oid) {
+    try {
+      const marketData = await this.getMarketData(asset);
+      if (!marketData) {
+        throw new Error(`Asset ${asset} not found on Hyperliquid`);
+      }
+
+      const action = {
+        type: 'cancel',
+        cancels: [{ a: marketData.assetIndex, o: oid }]
       };
 
       const types = {
-        Order: [
-          { name: 'asset', type: 'uint32' },
-          { name: 'isBuy', type: 'bool' },
-          { name: 'reduceOnly', type: 'bool' },
-          { name: 'size', type: 'uint64' },
-          { name: 'limitPx', type: 'string' },
-          { name: 'tif', type: 'string' }
+        Cancel: [
+          { name: 'a', type: 'uint32' },
+          { name: 'o', type: 'uint64' }
         ],
-        OrderRequest: [
+        CancelRequest: [
           { name: 'type', type: 'string' },
-          { name: 'grouping', type: 'string' },
-          { name: 'orders', type: 'Order[]' }
+          { name: 'cancels', type: 'Cancel[]' }
         ]
       };
 
-      const orderForSigning = {
-        asset: marketData.assetIndex,
-        isBuy: action === 'buy',
-        reduceOnly: false,
-        size: orderSize.toString(), // Convert to string for EIP-712
-        limitPx: marketData.markPx.toString(),
-        tif: 'Ioc'
-      };
+      const result = await this.submitExchangeAction(walletId, action, types);
+      const status = result.response?.data?.statuses?.[0];
+      if (status && status.error) {
+        throw new Error(status.error);
+      }
+
+      return { success: true, oid };
+    } catch (error) {
+      console.error('Error cancelling Hyperliquid order:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Resting and trigger orders for a wallet. Uses frontendOpenOrders, which
+  // returns the openOrders fields plus trigger details (isTrigger, triggerPx, orderType)
+  async getOpenOrders(walletId) {
+    const wallet = await this.privy.walletApi.getWallet(walletId);
+    const baseUrl = this.isTestnet ? this.testnetApiUrl : this.apiUrl;
+
+    const response = await axios.post(`${baseUrl}/info`, {
+      type: 'frontendOpenOrders',
+      user: wallet.address
+    }, { timeout: 5000 });
+
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  // Final state of a single order ('open', 'filled', 'canceled', ...)
+  async getOrderStatus(walletId, oid) {
+    const wallet = await this.privy.walletApi.getWallet(walletId);
+    const baseUrl = this.isTestnet ? this.testnetApiUrl : this.apiUrl;
+
+    const response = await axios.post(`${baseUrl}/info`, {
+      type: 'orderStatus',
+      user: wallet.address,
+      oid
+    }, { timeout: 5000 });
+
+    if (response.data?.status !== 'order') {
+      return null;
+    }
+
+    return {
+      status: response.data.order.status,
+      order: response.data.order.order,
+      statusTimestamp: response.data.order.statusTimestamp
+    };
+  }
+
+  // What an order actually filled at, from the account's fills: { size, avgPx, fees },
+  // or null when no fill for the oid is found. A triggered TP/SL fills under its own oid
+  async getOrderFill(walletId, oid) {
+    const wallet = await this.privy.walletApi.getWallet(walletId);
+    const baseUrl = this.isTestnet ? this.testnetApiUrl : this.apiUrl;
+
+    const response = await axios.post(`${baseUrl}/info`, {
+      type: 'userFills',
+      user: wallet.address
+    }, { timeout: 5000 });
+
+    const fills = (response.data || []).filter(fill => fill.oid === oid);
+    if (fills.length === 0) {
+      return null;
+    }
+
+    const size = fills.reduce((sum, fill) => sum + parseFloat(fill.sz), 0);
+    const notional = fills.reduce((sum, fill) => sum + parseFloat(fill.sz) * parseFloat(fill.px), 0);
+    return {
+      size,
+      avgPx: notional / size,
+      fees: fills.reduce((sum, fill) => sum + parseFloat(fill.fee || 0), 0)
+    };
+  }
+
+  // Build a single order in the wire format used by submitOrders
+  buildOrder(marketData, action, amount, price, orderType, reduceOnly = false) {
+    // Calculate order size in base units (considering szDecimals)
+    const szDecimals = marketData.szDecimals || 0;
+    const orderSize = Math.round(parseFloat(amount) * Math.pow(10, szDecimals));
+
+    return {
+      asset: marketData.assetIndex,
+      isBuy: action === 'buy',
+      reduceOnly,
+      size: orderSize.toString(),
+      limitPx: this.roundPrice(price, szDecimals).toString(),
+      tif: orderType.limit ? orderType.limit.tif : '',
+      triggerPx: orderType.trigger ? orderType.trigger.triggerPx : '0',
+      isMarket: orderType.trigger ? orderType.trigger.isMarket : false,
+      tpsl: orderType.trigger ? orderType.trigger.tpsl : ''
+    };
+  }
+
+  // Sign and submit one or more orders; returns a parsed status per order
+  async submitOrders(walletId, orders, grouping = 'na') {
+    const types = {
+      Order: [
+        { name: 'asset', type: 'uint32' },
+        { name: 'isBuy', type: 'bool' },
+        { name: 'reduceOnly', type: 'bool' },
+        { name: 'size', type: 'uint64' },
+        { name: 'limitPx', type: 'string' },
+        { name: 'tif', type: 'string' },
+        { name: 'triggerPx', type: 'string' },
+        { name: 'isMarket', type: 'bool' },
+        { name: 'tpsl', type: 'string' }
+      ],
+      OrderRequest: [
+        { name: 'type', type: 'string' },
+        { name: 'grouping', type: 'string' },
+        { name: 'orders', type: 'Order[]' }
+      ]
+    };
+
+    const action = {
+      type: 'order',
+      grouping,
+      orders
+    };
+
+    console.log('Submitting Hyperliquid order:', {
+      orders,
+      grouping,
+      testnet: this.isTestnet
+    });
+
+    const result = await this.submitExchangeAction(walletId, action, types);
+    const statuses = result.response?.data?.statuses || [];
+
+    return orders.map((_, i) => {
+      // Grouped TP/SL children report a plain string such as "waitingForFill"
+      const status = typeof statuses[i] === 'string' ? { waiting: statuses[i] } : (statuses[i] || {});
+      if (status.error) {
+        throw new Error(status.error);
+      }
 
-      const value = {
-        type: 'order',
-        grouping: 'na',
-        orders: [orderForSigning]
+      const details = status.resting || status.filled || {};
+      return {
+        oid: details.oid || null,
+        waiting: status.waiting || null,
+        resting: !!status.resting,
+        filled: !!status.filled,
+        totalSz: status.filled?.totalSz || null,
+        avgPx: status.filled?.avgPx ? parseFloat(status.filled.avgPx) : null
       };
+    });
+  }
 
-      // Sign using EIP-712
-      const signature = await signer.signTypedData(domain, types, value);
+  // Sign an exchange action with the wallet's key and submit it
+  async submitExchangeAction(walletId, action, types) {
+    const wallet = await this.privy.walletApi.getWallet(walletId);
+    const privateKey = await this.exportWalletPrivateKey(walletId);
 
-      // Add signature to order data
-      orderData.signature = signature;
+    if (!privateKey) {
+      throw new Error('Failed to access wallet private key for signing');
+    }
 
-      console.log('Submitting Hyperliquid order:', {
-        asset: asset,
-        action: action,
-        amount: amount,
-        price: marketData.markPx,
-        orderSize: orderSize,
-        wallet: walletAddress,
-        testnet: this.isTestnet
-      });
+    const signer = await this.getSigner(privateKey, wallet.address);
+    const signature = await signer.signTypedData(SIGNING_DOMAIN, types, action);
 
-      // Submit order to Hyperliquid exchange (use correct URL based on testnet)
-      const exchangeUrl = this.isTestnet ? this.testnetExchangeUrl : this.exchangeUrl;
-      const response = await axios.post(exchangeUrl, orderData, {
+    const exchangeUrl = this.isTestnet ? this.testnetExchangeUrl : this.exchangeUrl;
+    let response;
+    try {
+      response = await axios.post(exchangeUrl, { ...action, signature }, {
         headers: {
           'Content-Type': 'application/json'
         },
         timeout: 10000
       });
+    } catch (error) {
+      // No answer (timeout, dropped connection) or a server error: the exchange
+      // may still have accepted the action
+      error.submitted = !error.response || error.response.status >= 500;
+      throw error;
+    }
 
-      if (response.data && response.data.status === 'ok') {
-        return {
-          success: true,
-          orderId: response.data.response?.data?.statuses?.[0]?.id || Date.now().toString(),
-          executedPrice: marketData.markPx,
-          executedAmount: amount,
-          asset: asset,
-          status: 'filled'
-        };
-      } else {
-        throw new Error(response.data?.response?.data?.statuses?.[0]?.error || 'Order submission failed');
+    if (!response.data || response.data.status !== 'ok') {
+      const reason = typeof response.data?.response === 'string' ? response.data.response : null;
+      throw new Error(reason || `${action.type} request failed`);
+    }
+
+    return response.data;
+  }
+
+  // Set leverage and margin mode (cross or isolated) for an asset
+  async updateLeverage(walletId, asset, leverage, isCross) {
+    try {
+      const marketData = await this.getMarketData(asset);
+      if (!marketData) {
+        throw new Error(`Asset ${asset} not found on Hyperliquid`);
+      }
+
+      if (!Number.isInteger(leverage) || leverage < 1 || leverage > marketData.maxLeverage) {
+        throw new Error(`Leverage for ${marketData.name} must be a whole number between 1 and ${marketData.maxLeverage}`);
       }
 
+      if (isCross && marketData.onlyIsolated) {
+        throw new Error(`${marketData.name} only supports isolated margin`);
+      }
+
+      const action = {
+        type: 'updateLeverage',
+        asset: marketData.assetIndex,
+        isCross,
+        leverage
+      };
+
+      const types = {
+        UpdateLeverage: [
+          { name: 'type', type: 'string' },
+          { name: 'asset', type: 'uint32' },
+          { name: 'isCross', type: 'bool' },
+          { name: 'leverage', type: 'uint32' }
+        ]
+      };
+
+      await this.submitExchangeAction(walletId, action, types);
+
+      return {
+        success: true,
+        asset: marketData.name,
+        leverage,
+        marginMode: isCross ? 'cross' : 'isolated',
+        maxLeverage: marketData.maxLeverage
+      };
     } catch (error) {
-      console.error('Error creating Hyperliquid order:', error);
+      console.error('Error updating Hyperliquid leverage:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add (positive amount) or remove (negative amount) USDC margin on an isolated position
+  async updateIsolatedMargin(walletId, asset, amountUsd) {
+    try {
+      const marketData = await this.getMarketData(asset);
+      if (!marketData) {
+        throw new Error(`Asset ${asset} not found on Hyperliquid`);
+      }
+
+      const state = await this.getPositions(walletId);
+      const assetPosition = (state?.assetPositions || []).find(p =>
+        p.position?.coin === marketData.name && parseFloat(p.position.szi) !== 0
+      );
+
+      if (!assetPosition) {
+        throw new Error(`No open ${marketData.name} position`);
+      }
+      if (assetPosition.position.leverage?.type !== 'isolated') {
+        throw new Error(`${marketData.name} position uses cross margin. Switch with /leverage ${marketData.name} <x> isolated first.`);
+      }
+
+      const action = {
+        type: 'updateIsolatedMargin',
+        asset: marketData.assetIndex,
+        isBuy: parseFloat(assetPosition.position.szi) > 0,
+        ntli: Math.round(amountUsd * 1e6) // USDC with 6 decimals, signed
+      };
+
+      const types = {
+        UpdateIsolatedMargin: [
+          { name: 'type', type: 'string' },
+          { name: 'asset', type: 'uint32' },
+          { name: 'isBuy', type: 'bool' },
+          { name: 'ntli', type: 'int64' }
+        ]
+      };
+
+      await this.submitExchangeAction(walletId, action, types);
+
+      return {
+        success: true,
+        asset: marketData.name,
+        amount: amountUsd,
+        previousMargin: parseFloat(assetPosition.position.marginUsed || 0)
+      };
+    } catch (error) {
+      console.error('Error updating Hyperliquid isolated margin:', error);
       return { success: false, error: error.message };
     }
   }
@@ -333,8 +849,10 @@ class HyperliquidTrading {
       return null;
     } catch (error) {
       console.error('Error getting Hyperliquid positions:', error);
-      // Return empty positions structure for new users
+      // Return empty positions structure for new users, flagged so valuations
+      // can tell a failed lookup from an empty account
       return {
+        unavailable: true,
         assetPositions: [],
         marginSummary: {
           accountValue: '0',
@@ -345,6 +863,46 @@ class HyperliquidTrading {
     }
   }
 
+  // Open perp positions (zero-size entries dropped) plus the account margin summary
+  async getPerpPositions(walletId) {
+    const state = await this.getPositions(walletId);
+    const mids = await this.getAllMids().catch(() => ({}));
+
+    const positions = (state?.assetPositions || [])
+      .map(p => p.position)
+      .filter(position => position && parseFloat(position.szi) !== 0)
+      .map(position => {
+        const size = parseFloat(position.szi);
+        const positionValue = parseFloat(position.positionValue || 0);
+
+        return {
+          asset: position.coin,
+          size: Math.abs(size),
+          side: size > 0 ? 'long' : 'short',
+          entryPx: parseFloat(position.entryPx || 0),
+          markPx: mids[position.coin] ? parseFloat(mids[position.coin]) : positionValue / Math.abs(size),
+          positionValue,
+          unrealizedPnl: parseFloat(position.unrealizedPnl || 0),
+          roe: parseFloat(position.returnOnEquity || 0) * 100,
+          leverage: position.leverage?.value || null,
+          marginMode: position.leverage?.type || 'cross',
+          liquidationPx: position.liquidationPx ? parseFloat(position.liquidationPx) : null,
+          marginUsed: parseFloat(position.marginUsed || 0)
+        };
+      });
+
+    const marginSummary = state?.marginSummary || {};
+
+    return {
+      positions,
+      unavailable: !state || Boolean(state.unavailable),
+      accountValue: parseFloat(marginSummary.accountValue || 0),
+      totalNtlPos: parseFloat(marginSummary.totalNtlPos || 0),
+      totalMarginUsed: parseFloat(marginSummary.totalMarginUsed || 0),
+      withdrawable: parseFloat(state?.withdrawable || 0)
+    };
+  }
+
   async getBalance(walletId) {
     try {
       const positions = await this.getPositions(walletId);
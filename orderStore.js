@@ -0,0 +1,116 @@
+const { dataPath, loadJson, saveJson } = require('./storage');
+
+// Order fields persisted as ISO strings that are revived into Date objects
+const DATE_FIELDS = ['createdAt', 'executedAt', 'expiresAt', 'cancelledAt'];
+
+class OrderStore {
+  constructor(filePath) {
+    this.filePath = filePath || dataPath('limitOrders.json');
+    this.orders = new Map(); // userId -> orders array
+    this.orderCounter = 1;
+
+    this.load();
+  }
+
+  load() {
+    const data = loadJson(this.filePath, { orderCounter: 1, orders: [] });
+
+    this.orders.clear();
+    for (const order of data.orders || []) {
+      DATE_FIELDS.forEach(field => {
+        if (order[field]) {
+          order[field] = new Date(order[field]);
+        }
+      });
+
+      const userKey = String(order.userId);
+      if (!this.orders.has(userKey)) {
+        this.orders.set(userKey, []);
+      }
+      this.orders.get(userKey).push(order);
+    }
+
+    // Never hand out an ID that is already on disk, even if the counter was lost
+    const highestId = (data.orders || []).reduce((max, order) => Math.max(max, order.id || 0), 0);
+    this.orderCounter = Math.max(data.orderCounter || 1, highestId + 1);
+  }
+
+  save() {
+    const orders = [];
+    for (const userOrders of this.orders.values()) {
+      orders.push(...userOrders);
+    }
+
+    saveJson(this.filePath, {
+      orderCounter: this.orderCounter,
+      orders
+    });
+  }
+
+  // Create and persist a new order, assigning it the next unique ID
+  add(userId, order) {
+    const userKey = String(userId);
+    const storedOrder = {
+      ...order,
+      id: this.orderCounter++,
+      userId: userKey
+    };
+
+    if (!this.orders.has(userKey)) {
+      this.orders.set(userKey, []);
+    }
+    this.orders.get(userKey).push(storedOrder);
+    this.save();
+
+    return storedOrder;
+  }
+
+  getUserIds() {
+    return [...this.orders.keys()];
+  }
+
+  getUserOrders(userId) {
+    return this.orders.get(String(userId)) || [];
+  }
+
+  findOrder(userId, orderId) {
+    return this.getUserOrders(userId).find(order => order.id === orderId) || null;
+  }
+
+  getOrdersByStatus(status) {
+    const matching = [];
+    for (const userOrders of this.orders.values()) {
+      matching.push(...userOrders.filter(order => order.status === status));
+    }
+    return matching;
+  }
+
+  getActiveOrders() {
+    return this.getOrdersByStatus('active');
+  }
+
+  // Apply changes to a stored order and persist them
+  update(order, changes) {
+    Object.assign(order, changes);
+    this.save();
+    return order;
+  }
+
+  // Mark every active order past its expiry as expired and return them
+  expireStale(now = new Date()) {
+    const expired = this.getActiveOrders().filter(order =>
+      order.expiresAt && order.expiresAt.getTime() <= now.getTime()
+    );
+
+    if (expired.length > 0) {
+      expired.forEach(order => {
+        order.status = 'expired';
+      });
+      this.save();
+    }
+
+    return expired;
+  }
+}
+
+module.exports = OrderStore;
@@ -1,6 +1,46 @@
 const axios = require('axios');
 const { ClobClient, OrderType, Side } = require('@polymarket/clob-client');
-const { Wallet } = require('ethers');
+const { Contract, JsonRpcProvider, Wallet, ZeroHash } = require('ethers');
+
+// Fallback when the CLOB does not report a market's tick size
+const DEFAULT_TICK_SIZE = '0.01';
+
+// The CLOB closes GTD orders a minute before their expiration timestamp
+const GTD_EXPIRATION_BUFFER_SECONDS = 60;
+
+// Polygon contracts used to redeem resolved positions into USDC.e
+const CTF_ADDRESS = '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045';
+const NEG_RISK_ADAPTER_ADDRESS = '0xd91E80cF2E7be2e162c6513ceD06f1dD0dA35296';
+const USDC_E_ADDRESS = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174';
+const CTF_ABI = [
+  'function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)',
+  'function balanceOf(address owner, uint256 id) view returns (uint256)'
+];
+const NEG_RISK_ADAPTER_ABI = [
+  'function redeemPositions(bytes32 conditionId, uint256[] amounts)'
+];
+
+// Market catalog sort orders: Gamma query fields plus a local comparator for keyword searches
+const MARKET_SORTS = {
+  volume: { order: 'volumeNum', ascending: false, compare: (a, b) => parseFloat(b.volume || 0) - parseFloat(a.volume || 0) },
+  liquidity: { order: 'liquidityNum', ascending: false, compare: (a, b) => parseFloat(b.liquidity || 0) - parseFloat(a.liquidity || 0) },
+  ending: { order: 'endDate', ascending: true, compare: (a, b) => new Date(a.endDate || 8.64e15) - new Date(b.endDate || 8.64e15) },
+  newest: { order: 'startDate', ascending: false, compare: (a, b) => new Date(b.startDate || 0) - new Date(a.startDate || 0) }
+};
+
+// Gamma returns list fields (outcomes, outcomePrices, clobTokenIds) as JSON strings
+function parseJsonArray(value, fallback) {
+  if (!value) return fallback;
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : fallback;
+  } catch (e) {
+    console.warn('Failed to parse market field:', value);
+    return fallback;
+  }
+}
 
 class PolymarketTrading {
   constructor(privyClient) {
@@ -10,161 +50,735 @@ class PolymarketTrading {
     this.dataApiUrl = 'https://data-api.polymarket.com';
     this.clobHost = 'https://clob.polymarket.com';
     this.chainId = 137; // Polygon chain ID
+    this.polygonRpcUrl = process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com';
     this.clients = new Map(); // Cache CLOB clients by wallet address
+    this.activeMarketsCache = null; // { markets, fetchedAt } for fuzzy search
+    this.activeMarketsTtlMs = 5 * 60 * 1000;
+    this.activeEventsCache = null; // { events, fetchedAt } for event search
+    this.tagIds = new Map(); // Category slug -> Gamma tag ID
   }
 
   async executeTrade(walletId, action, amount, asset, chatId, bot) {
     try {
-      bot.sendMessage(chatId, `🔄 Processing Polymarket ${action} ${amount} shares in "${asset}"...`);
-
-      // Get wallet for signing
-      const wallet = await this.privy.walletApi.getWallet(walletId);
-      const walletAddress = wallet.address;
-
-      // Get market data using market question/title
-      const marketData = await this.findMarketByQuestion(asset);
+      const { outcome: outcomeName, query } = this.parseTradeTarget(asset);
+      bot.sendMessage(chatId, `🔄 Processing Polymarket ${action} ${amount} ${outcomeName ? `${outcomeName.toUpperCase()} ` : ''}shares in "${query}"...`);
 
-      if (!marketData) {
-        bot.sendMessage(chatId, `❌ Market not found: "${asset}". Use /markets to see available markets.`);
-        return;
+      const prepared = await this.prepareTrade(walletId, action, amount, asset);
+      if (prepared.error) {
+        bot.sendMessage(chatId, prepared.error);
+        return { success: false, error: prepared.error };
       }
 
-      // Check if market is active
-      if (marketData.closed) {
-        bot.sendMessage(chatId, '❌ This market is closed and no longer accepting trades.');
-        return;
-      }
+      const { marketDetails, outcome } = prepared;
 
       // Export private key for CLOB client
       const privateKey = await this.exportWalletPrivateKey(walletId);
 
       if (!privateKey) {
         bot.sendMessage(chatId, '❌ Failed to access wallet private key. Please try again.');
-        return;
+        return { success: false, error: 'Failed to access wallet private key' };
       }
 
       // Execute the real trade using CLOB API
-      const result = await this.placeOrder(walletId, action, amount, marketData, privateKey);
+      const result = await this.placeOrder(walletId, action, amount, marketDetails, privateKey, outcome);
 
       if (result && result.success) {
         bot.sendMessage(chatId,
           `✅ **Polymarket Trade Executed!**\n\n` +
-          `📊 **Market:** ${marketData.question}\n` +
+          `📊 **Market:** ${marketDetails.question}\n` +
           `🔄 **Action:** ${action.toUpperCase()} ${amount} shares\n` +
-          `💰 **Price:** $${(result.executedPrice / 100).toFixed(4)}\n` +
-          `📈 **Outcome:** ${action === 'buy' ? marketData.outcomes[0] : marketData.outcomes[1]}\n` +
+          `💰 **Price:** $${result.executedPrice.toFixed(4)}\n` +
+          `📈 **Outcome:** ${outcome.name}\n` +
           `🔗 **Order ID:** ${result.orderId}\n` +
           `⚡ **Status:** Filled\n\n` +
           `💡 **Note:** Real Polymarket CLOB trade executed successfully!`
         );
-      } else {
-        bot.sendMessage(chatId, `❌ Trade failed: ${result?.error || 'Unknown error occurred'}`);
+
+        return {
+          ...result,
+          trade: {
+            asset: `${outcome.name} · ${marketDetails.question}`,
+            size: parseFloat(amount),
+            price: result.executedPrice,
+            quoteAsset: 'USDC',
+            fees: 0, // Orders are placed with feeRateBps 0
+            txId: result.orderId,
+            status: result.status === 'live' ? 'open' : 'executed'
+          }
+        };
       }
 
+      bot.sendMessage(chatId, `❌ Trade failed: ${result?.error || 'Unknown error occurred'}`);
+      return result;
+
     } catch (error) {
       console.error('Error executing Polymarket trade:', error);
       bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+      return { success: false, error: error.message };
     }
   }
 
-  async findMarketByQuestion(question) {
+  // Resolve market and outcome for a trade and run pre-trade checks.
+  // Returns { marketDetails, outcome } or { error } with a user-facing message
+  async prepareTrade(walletId, action, amount, asset, commandPrefix = null, commandSuffix = '') {
+    // Split 'NO "Will BTC hit 200k?"' into the outcome and the market query
+    const { outcome: requestedOutcome, query } = this.parseTradeTarget(asset);
+
+    // Resolve the market by URL, slug, ID, fuzzy question search or event candidate
+    const { market: marketData, outcomeName, candidates } = await this.resolveTradeMarket(query, requestedOutcome);
+
+    if (!marketData) {
+      if (candidates.length > 0) {
+        // A caller-supplied prefix already carries the outcome (and anything after it)
+        const prefix = commandPrefix || `/trade polymarket ${action} ${amount}${requestedOutcome ? ` ${requestedOutcome}` : ''}`;
+        return { error: this.formatMarketPickList(candidates, prefix, commandSuffix) };
+      }
+      return { error: `❌ Market not found: "${query}". Use /markets to see available markets.` };
+    }
+
+    // Check if market is active
+    if (marketData.closed) {
+      return { error: '❌ This market is closed and no longer accepting trades.' };
+    }
+
+    // Token IDs and per-outcome prices come from the full market details
+    const marketDetails = await this.getMarketDetails(marketData.id);
+    if (!marketDetails || marketDetails.tokens.length === 0) {
+      return { error: '❌ Unable to load outcome tokens for this market. Please try again.' };
+    }
+
+    // Sells are checked against the shares held in the chosen outcome
+    const positions = action === 'sell' ? (await this.getPositions(walletId)).positions : [];
+    const outcome = this.resolveOutcome(
+      marketDetails,
+      outcomeName || (action === 'sell' ? this.inferHeldOutcome(marketDetails, positions) : null)
+    );
+
+    if (action === 'sell') {
+      const heldShares = this.getHeldShares(positions, outcome.tokenId);
+      if (heldShares < parseFloat(amount)) {
+        return { error: `❌ Insufficient shares: you hold ${heldShares.toFixed(2)} ${outcome.name} shares in this market.` };
+      }
+    }
+
+    return { marketDetails, outcome };
+  }
+
+  // Resolve '[outcome] "<market>"' to a market and outcome without any trade checks.
+  // Returns { marketDetails, outcome } or { error } with a user-facing message
+  async resolveOutcomeTarget(asset, commandPrefix, commandSuffix = '') {
+    const { outcome: requestedOutcome, query } = this.parseTradeTarget(asset);
+    const { market: marketData, outcomeName, candidates } = await this.resolveTradeMarket(query, requestedOutcome);
+
+    if (!marketData) {
+      if (candidates.length > 0) {
+        return { error: this.formatMarketPickList(candidates, `${commandPrefix}${requestedOutcome ? ` ${requestedOutcome}` : ''}`, commandSuffix) };
+      }
+      return { error: `❌ Market not found: "${query}". Use /markets to see available markets.` };
+    }
+
+    const marketDetails = await this.getMarketDetails(marketData.id);
+    if (!marketDetails || marketDetails.tokens.length === 0) {
+      return { error: '❌ Unable to load outcome tokens for this market. Please try again.' };
+    }
+
+    return { marketDetails, outcome: this.resolveOutcome(marketDetails, outcomeName) };
+  }
+
+  // Resolve the market for a trade target. Multi-outcome events (e.g. "Who will win
+  // the election?") are groups of Yes/No markets, one per candidate, so an outcome
+  // like "Trump" or "Trump NO" picks the candidate's market and its Yes/No side.
+  // Returns { market, outcomeName, candidates }
+  async resolveTradeMarket(query, outcomeName) {
+    const { market, candidates } = await this.resolveMarkets(query);
+    if (market || !outcomeName) {
+      return { market, outcomeName, candidates };
+    }
+
+    const picked = this.pickCandidateMarket(candidates, outcomeName);
+    if (picked) {
+      return { ...picked, candidates };
+    }
+
+    // The query may be an event title rather than a market question
+    const { event } = await this.resolveEvent(query).catch(() => ({ event: null }));
+    const eventPick = event ? this.pickCandidateMarket(event.markets, outcomeName) : null;
+    return eventPick ? { ...eventPick, candidates } : { market: null, outcomeName, candidates };
+  }
+
+  // Find an event candidate's market by name: "Trump" (Yes side) or "Trump no".
+  // Returns { market, outcomeName } or null when no single candidate matches
+  pickCandidateMarket(markets, outcomeName) {
+    const sideMatch = outcomeName.match(/^(.+?)\s+(yes|no)$/i);
+    const candidate = (sideMatch ? sideMatch[1] : outcomeName).toLowerCase();
+    const side = sideMatch ? sideMatch[2] : 'Yes';
+
+    const named = markets.filter(market => market.groupItemTitle);
+    let matches = named.filter(market => market.groupItemTitle.toLowerCase() === candidate);
+    if (matches.length === 0) {
+      matches = named.filter(market => market.groupItemTitle.toLowerCase().includes(candidate));
+    }
+
+    return matches.length === 1 ? { market: matches[0], outcomeName: side } : null;
+  }
+
+  // Current CLOB midpoint for each outcome token, keyed by token ID
+  async getMidpoints(tokenIds) {
+    const uniqueIds = [...new Set(tokenIds)];
+    if (uniqueIds.length === 0) {
+      return {};
+    }
+
+    const response = await axios.post(`${this.clobHost}/midpoints`,
+      uniqueIds.map(tokenId => ({ token_id: tokenId })),
+      { timeout: 5000 }
+    );
+
+    const midpoints = {};
+    Object.entries(response.data || {}).forEach(([tokenId, mid]) => {
+      midpoints[tokenId] = parseFloat(mid);
+    });
+    return midpoints;
+  }
+
+  // CLOB order book for an outcome token, best levels first:
+  // { bids, asks, bestBid, bestAsk, spread, midpoint }
+  async getOrderBook(tokenId) {
+    const response = await axios.get(`${this.clobHost}/book`, {
+      params: { token_id: tokenId },
+      timeout: 5000
+    });
+
+    const toLevels = levels => (levels || []).map(level => ({
+      price: parseFloat(level.price),
+      size: parseFloat(level.size)
+    }));
+    const bids = toLevels(response.data?.bids).sort((a, b) => b.price - a.price);
+    const asks = toLevels(response.data?.asks).sort((a, b) => a.price - b.price);
+
+    const bestBid = bids.length > 0 ? bids[0].price : null;
+    const bestAsk = asks.length > 0 ? asks[0].price : null;
+    const hasBothSides = bestBid !== null && bestAsk !== null;
+
+    return {
+      bids,
+      asks,
+      bestBid,
+      bestAsk,
+      spread: hasBothSides ? bestAsk - bestBid : null,
+      midpoint: hasBothSides ? (bestAsk + bestBid) / 2 : null
+    };
+  }
+
+  // Walk the book to estimate filling `shares` right now: buys take asks, sells hit bids.
+  // Returns { filled, avgPrice, worstPrice, total }; filled < shares when the book is too thin
+  estimateFill(book, action, shares) {
+    let remaining = parseFloat(shares);
+    let filled = 0;
+    let total = 0;
+    let worstPrice = null;
+
+    for (const level of action === 'buy' ? book.asks : book.bids) {
+      if (remaining <= 0) break;
+
+      const fill = Math.min(remaining, level.size);
+      filled += fill;
+      total += fill * level.price;
+      remaining -= fill;
+      worstPrice = level.price;
+    }
+
+    return {
+      filled,
+      avgPrice: filled > 0 ? total / filled : null,
+      worstPrice,
+      total
+    };
+  }
+
+  // Preview of a trade for confirmation: price, shares and cost
+  async getQuote(walletId, action, amount, asset) {
+    const prepared = await this.prepareTrade(walletId, action, amount, asset);
+    if (prepared.error) {
+      return prepared;
+    }
+
+    const { marketDetails, outcome } = prepared;
+    const shares = parseFloat(amount);
+    const total = shares * outcome.price;
+
+    return {
+      lines: [
+        `📊 **Market:** ${marketDetails.question}`,
+        `📈 **Outcome:** ${outcome.name}`,
+        `🔄 **Action:** ${action.toUpperCase()} ${shares} shares @ $${outcome.price.toFixed(4)}`,
+        `💵 **${action === 'buy' ? 'Cost' : 'Proceeds'}:** ~$${total.toFixed(2)} USDC`,
+        `💸 **Fees:** 0 bps`,
+        ...(action === 'buy' ? [`🏆 **Payout if ${outcome.name} wins:** $${shares.toFixed(2)}`] : [])
+      ]
+    };
+  }
+
+  // Parse '[outcome] "<market>"' or '[yes|no] <market>' into { outcome, query }
+  parseTradeTarget(asset) {
+    const text = asset.trim();
+
+    const quoted = text.match(/^(.*?)\s*["“](.+)["”]\s*$/);
+    if (quoted) {
+      return { outcome: quoted[1].trim() || null, query: quoted[2].trim() };
+    }
+
+    const binary = text.match(/^(yes|no)\s+(.+)$/i);
+    if (binary) {
+      return { outcome: binary[1], query: binary[2].trim() };
+    }
+
+    return { outcome: null, query: text };
+  }
+
+  // Pick an outcome by name (defaults to the first outcome)
+  resolveOutcome(marketDetails, outcomeName) {
+    let index = 0;
+
+    if (outcomeName) {
+      const wanted = outcomeName.toLowerCase();
+      index = marketDetails.outcomes.findIndex(o => o.toLowerCase() === wanted);
+
+      if (index === -1) {
+        const prefixMatches = marketDetails.outcomes
+          .map((o, i) => ({ o, i }))
+          .filter(({ o }) => o.toLowerCase().startsWith(wanted));
+        index = prefixMatches.length === 1 ? prefixMatches[0].i : -1;
+      }
+
+      if (index === -1) {
+        throw new Error(`Outcome "${outcomeName}" not found. Available outcomes: ${marketDetails.outcomes.join(', ')}`);
+      }
+    }
+
+    const tokenId = marketDetails.tokens[index];
+    if (!tokenId) {
+      throw new Error('Could not find valid token ID for this market outcome');
+    }
+
+    return {
+      index,
+      name: marketDetails.outcomes[index],
+      tokenId,
+      price: parseFloat(marketDetails.prices[index])
+    };
+  }
+
+  // For sells without an explicit outcome, use the single outcome the user holds
+  inferHeldOutcome(marketDetails, positions) {
+    const held = positions.filter(pos =>
+      pos.shares > 0 && marketDetails.tokens.includes(pos.tokenId)
+    );
+
+    if (held.length > 1) {
+      throw new Error(`You hold several outcomes in this market (${held.map(pos => pos.outcome).join(', ')}). Specify which one to sell.`);
+    }
+
+    return held.length === 1 ? held[0].outcome : null;
+  }
+
+  getHeldShares(positions, tokenId) {
+    return positions
+      .filter(pos => pos.tokenId === tokenId)
+      .reduce((sum, pos) => sum + pos.shares, 0);
+  }
+
+  // Convert a raw Gamma market into the shape used throughout the bot
+  normalizeMarket(market) {
+    const outcomes = parseJsonArray(market.outcomes, ['Yes', 'No']);
+    const outcomePrices = parseJsonArray(market.outcomePrices, []);
+
+    return {
+      id: market.id,
+      conditionId: market.conditionId,
+      slug: market.slug,
+      question: market.question || 'Unknown Question',
+      outcomes: outcomes,
+      prices: outcomes.map((_, i) => parseFloat(outcomePrices[i] || 0.5)),
+      tokens: parseJsonArray(market.clobTokenIds, []),
+      closed: market.closed || false,
+      volume: market.volume || '0',
+      liquidity: market.liquidity || '0',
+      endDate: market.endDate,
+      groupItemTitle: market.groupItemTitle || null, // Candidate name within a multi-outcome event
+      negRisk: market.negRisk || false
+    };
+  }
+
+  // Convert a raw Gamma event into { id, slug, title, negRisk, volume, endDate, markets },
+  // with its open candidate markets sorted by Yes price (favourite first)
+  normalizeEvent(event) {
+    const rawMarkets = Array.isArray(event.markets) ? event.markets : [];
+    const openMarkets = rawMarkets.filter(m => !m.closed);
+    const negRisk = Boolean(event.negRisk || event.enableNegRisk);
+
+    const markets = (openMarkets.length > 0 ? openMarkets : rawMarkets)
+      .map(m => this.normalizeMarket({ ...m, negRisk: m.negRisk ?? negRisk }))
+      .sort((a, b) => b.prices[0] - a.prices[0]);
+
+    return {
+      id: event.id,
+      slug: event.slug,
+      title: event.title || 'Unknown Event',
+      negRisk,
+      volume: event.volume || '0',
+      endDate: event.endDate,
+      markets
+    };
+  }
+
+  // Resolve a user query to a market. Returns { market, candidates }: market is
+  // set on an unambiguous match, otherwise candidates holds a ranked pick-list
+  async resolveMarkets(query) {
+    const text = query.trim();
+
+    try {
+      // Polymarket URL: /event/<event-slug>[/<market-slug>] or /market/<market-slug>
+      const urlMatch = text.match(/polymarket\.com\/(event|market)\/([^/?#\s]+)(?:\/([^/?#\s]+))?/i);
+      if (urlMatch) {
+        const [, kind, firstSlug, secondSlug] = urlMatch;
+        if (kind.toLowerCase() === 'market' || secondSlug) {
+          const market = await this.getMarketBySlug(secondSlug || firstSlug);
+          if (market) return { market, candidates: [] };
+        }
+        return this.resolveEventMarkets(firstSlug);
+      }
+
+      // Condition ID
+      if (/^0x[0-9a-f]{64}$/i.test(text)) {
+        const market = await this.getMarketByConditionId(text);
+        return { market, candidates: [] };
+      }
+
+      // Gamma market ID
+      if (/^\d+$/.test(text)) {
+        const response = await axios.get(`${this.apiUrl}/markets/${text}`, { timeout: 5000 });
+        return { market: response.data ? this.normalizeMarket(response.data) : null, candidates: [] };
+      }
+
+      // Market or event slug
+      if (/^[a-z0-9]+(-[a-z0-9]+)+$/.test(text)) {
+        const market = await this.getMarketBySlug(text);
+        if (market) return { market, candidates: [] };
+
+        const eventResult = await this.resolveEventMarkets(text);
+        if (eventResult.market || eventResult.candidates.length > 0) return eventResult;
+      }
+    } catch (error) {
+      console.error('Error resolving market identifier:', error.message);
+    }
+
+    // Fall back to fuzzy search over every active market
+    const ranked = await this.searchMarkets(text);
+    if (ranked.length === 0) {
+      return { market: null, candidates: [] };
+    }
+
+    // Only auto-select when the top match is exact or clearly ahead of the rest
+    const [best, second] = ranked;
+    const isExact = best.score >= 3;
+    const isClear = best.score >= 1 && (!second || best.score - second.score >= 0.5);
+    if (isExact || isClear) {
+      return { market: best.market, candidates: [] };
+    }
+
+    return { market: null, candidates: ranked.map(r => r.market) };
+  }
+
+  async getMarketBySlug(slug) {
+    const response = await axios.get(`${this.apiUrl}/markets`, {
+      params: { slug },
+      timeout: 5000
+    });
+
+    const market = Array.isArray(response.data) ? response.data[0] : null;
+    return market ? this.normalizeMarket(market) : null;
+  }
+
+  async getMarketByConditionId(conditionId) {
+    const response = await axios.get(`${this.apiUrl}/markets`, {
+      params: { condition_ids: conditionId },
+      timeout: 5000
+    });
+
+    const market = Array.isArray(response.data) ? response.data[0] : null;
+    return market ? this.normalizeMarket(market) : null;
+  }
+
+  async getEventBySlug(slug) {
+    const response = await axios.get(`${this.apiUrl}/events`, {
+      params: { slug },
+      timeout: 5000
+    });
+
+    const event = Array.isArray(response.data) ? response.data[0] : null;
+    return event ? this.normalizeEvent(event) : null;
+  }
+
+  // An event slug maps to one market or a pick-list of the event's open markets
+  async resolveEventMarkets(eventSlug) {
+    const event = await this.getEventBySlug(eventSlug);
+    if (!event || event.markets.length === 0) {
+      return { market: null, candidates: [] };
+    }
+
+    if (event.markets.length === 1) {
+      return { market: event.markets[0], candidates: [] };
+    }
+    return { market: null, candidates: event.markets };
+  }
+
+  // Resolve a user query to an event by URL, slug, ID or fuzzy title search.
+  // Returns { event, candidates }: candidates lists close matches when ambiguous
+  async resolveEvent(query) {
+    const text = query.trim();
+
     try {
+      const urlMatch = text.match(/polymarket\.com\/event\/([^/?#\s]+)/i);
+      if (urlMatch || /^[a-z0-9]+(-[a-z0-9]+)+$/.test(text)) {
+        const event = await this.getEventBySlug(urlMatch ? urlMatch[1] : text);
+        if (event) return { event, candidates: [] };
+      }
+
+      if (/^\d+$/.test(text)) {
+        const response = await axios.get(`${this.apiUrl}/events/${text}`, { timeout: 5000 });
+        if (response.data) return { event: this.normalizeEvent(response.data), candidates: [] };
+      }
+    } catch (error) {
+      console.error('Error resolving event identifier:', error.message);
+    }
+
+    const ranked = await this.searchEvents(text);
+    if (ranked.length === 0) {
+      return { event: null, candidates: [] };
+    }
+
+    const [best, second] = ranked;
+    const isExact = best.score >= 3;
+    const isClear = best.score >= 1 && (!second || best.score - second.score >= 0.5);
+    if (isExact || isClear) {
+      return { event: best.event, candidates: [] };
+    }
+
+    return { event: null, candidates: ranked.map(r => r.event) };
+  }
+
+  // Page through every active event on Gamma (cached like active markets)
+  async fetchActiveEvents() {
+    if (this.activeEventsCache && Date.now() - this.activeEventsCache.fetchedAt < this.activeMarketsTtlMs) {
+      return this.activeEventsCache.events;
+    }
+
+    const pageSize = 500;
+    const maxPages = 10;
+    const events = [];
+
+    for (let page = 0; page < maxPages; page++) {
+      const response = await axios.get(`${this.apiUrl}/events`, {
+        params: {
+          closed: false,
+          active: true,
+          limit: pageSize,
+          offset: page * pageSize
+        },
+        timeout: 10000
+      });
+
+      if (!Array.isArray(response.data) || response.data.length === 0) break;
+      events.push(...response.data);
+      if (response.data.length < pageSize) break;
+    }
+
+    this.activeEventsCache = { events, fetchedAt: Date.now() };
+    return events;
+  }
+
+  // Ranked fuzzy search across active events by title
+  async searchEvents(query, limit = 5) {
+    try {
+      const events = await this.fetchActiveEvents();
+
+      return events
+        .map(event => ({ event, score: this.scoreMarketMatch(query, { question: event.title, slug: event.slug }) }))
+        .filter(result => result.score >= 0.5)
+        .sort((a, b) => b.score - a.score || parseFloat(b.event.volume || 0) - parseFloat(a.event.volume || 0))
+        .slice(0, limit)
+        .map(result => ({ event: this.normalizeEvent(result.event), score: result.score }));
+    } catch (error) {
+      console.error('Error searching events:', error);
+      return [];
+    }
+  }
+
+  // Page through every active market on Gamma (cached for a few minutes)
+  async fetchActiveMarkets() {
+    if (this.activeMarketsCache && Date.now() - this.activeMarketsCache.fetchedAt < this.activeMarketsTtlMs) {
+      return this.activeMarketsCache.markets;
+    }
+
+    const pageSize = 500;
+    const maxPages = 20;
+    const markets = [];
+
+    for (let page = 0; page < maxPages; page++) {
       const response = await axios.get(`${this.apiUrl}/markets`, {
         params: {
           closed: false,
           active: true,
-          limit: 50
+          limit: pageSize,
+          offset: page * pageSize
         },
-        timeout: 5000
+        timeout: 10000
       });
 
-      if (response.data && Array.isArray(response.data)) {
-        // Find market by question/title (case-insensitive partial match)
-        const market = response.data.find(m =>
-          m.question.toLowerCase().includes(question.toLowerCase()) ||
-          question.toLowerCase().includes(m.question.toLowerCase())
-        );
+      if (!Array.isArray(response.data) || response.data.length === 0) break;
+      markets.push(...response.data);
+      if (response.data.length < pageSize) break;
+    }
 
-        if (market) {
-          return {
-            id: market.id,
-            question: market.question,
-            outcomes: market.outcomes || ['Yes', 'No'],
-            closed: market.closed || false,
-            price: Math.round((market.outcomes?.[0]?.price || 0.5) * 10000), // Convert to cents
-            volume: market.volume || '0',
-            endDate: market.endDate
-          };
-        }
-      }
+    this.activeMarketsCache = { markets, fetchedAt: Date.now() };
+    return markets;
+  }
 
-      return null;
+  // Score how well a market matches a free-text query (higher is better)
+  scoreMarketMatch(query, market) {
+    const normalize = (value) => (value || '').toLowerCase().replace(/[^a-z0-9$%.]+/g, ' ').trim();
+    const queryText = normalize(query);
+    const questionText = normalize(market.question);
+
+    if (!queryText) return 0;
+    if (questionText === queryText) return 3;
+
+    let score = 0;
+    if (questionText.includes(queryText)) {
+      score += 1;
+    }
+
+    // Fraction of query words found in the question or slug
+    const marketWords = new Set(`${questionText} ${normalize(market.slug)}`.split(' '));
+    const queryWords = queryText.split(' ').filter(Boolean);
+    const hits = queryWords.filter(word => marketWords.has(word)).length;
+    score += hits / queryWords.length;
+
+    return score;
+  }
+
+  // Ranked fuzzy search across all active markets
+  async searchMarkets(query, limit = 5) {
+    try {
+      const markets = await this.fetchActiveMarkets();
+
+      return markets
+        .map(market => ({ market, score: this.scoreMarketMatch(query, market) }))
+        .filter(result => result.score >= 0.5)
+        .sort((a, b) => b.score - a.score || parseFloat(b.market.volume || 0) - parseFloat(a.market.volume || 0))
+        .slice(0, limit)
+        .map(result => ({ market: this.normalizeMarket(result.market), score: result.score }));
     } catch (error) {
-      console.error('Error finding market:', error);
-      return null;
+      console.error('Error searching markets:', error);
+      return [];
     }
   }
 
-  async placeOrder(walletId, action, amount, marketData, privateKey) {
+  // Best unambiguous match for a question, or null
+  async findMarketByQuestion(question) {
+    const { market } = await this.resolveMarkets(question);
+    return market;
+  }
+
+  // Pick-list shown when a query matches several markets
+  formatMarketPickList(markets, commandPrefix, commandSuffix = '') {
+    let message = `🔎 **Several markets match. Pick one by ID:**\n\n`;
+
+    markets.slice(0, 10).forEach((market, index) => {
+      const odds = market.outcomes
+        .map((outcome, i) => `${outcome} ${(market.prices[i] * 100).toFixed(1)}¢`)
+        .join(' / ');
+      message += `${index + 1}. ${market.question}\n`;
+      message += `   ID: ${market.id} | ${odds}\n\n`;
+    });
+
+    message += `💡 **Example:** ${commandPrefix} "${markets[0].id}"${commandSuffix}`;
+    return message;
+  }
+
+  // Place a CLOB order for an outcome. Without options it prices at the outcome's
+  // current price as GTC; options.price sets a limit price (rounded to the market's
+  // tick size) and options.orderType 'GTD' rests until options.expiration (Date)
+  async placeOrder(walletId, action, amount, marketData, privateKey, outcome, options = {}) {
     try {
       // Get wallet for address
       const wallet = await this.privy.walletApi.getWallet(walletId);
       const walletAddress = wallet.address;
 
-      // Create ethers signer from private key
-      const signer = new Wallet(privateKey);
-
       // Get or create CLOB client
       const clobClient = await this.getClobClient(privateKey, walletAddress);
 
-      // Get token ID from market data
-      const tokenId = await this.getTokenId(marketData, action);
-
-      if (!tokenId) {
-        throw new Error('Could not find valid token ID for this market outcome');
-      }
+      const tokenId = outcome.tokenId;
 
       // Determine side
       const side = action === 'buy' ? Side.BUY : Side.SELL;
 
-      // Calculate price (Polymarket uses decimals, not cents for orders)
-      const price = (marketData.price / 10000).toFixed(6);
+      // Orders off the market's tick grid are rejected, so snap the price to it
+      const tickSize = await this.getTickSize(clobClient, tokenId);
+      const price = this.roundToTick(options.price ?? outcome.price, tickSize);
+      const orderType = options.orderType === 'GTD' ? 'GTD' : 'GTC';
+      // negRisk (multi-outcome) markets settle through a different exchange contract,
+      // so ask the CLOB whenever Gamma does not already flag the market
+      const negRisk = marketData.negRisk || await clobClient.getNegRisk(tokenId).catch(() => false);
+
+      const userOrder = {
+        tokenID: tokenId,
+        price,
+        side: side,
+        size: parseFloat(amount),
+        feeRateBps: 0,
+      };
+
+      if (orderType === 'GTD') {
+        userOrder.expiration = Math.floor(options.expiration.getTime() / 1000) + GTD_EXPIRATION_BUFFER_SECONDS;
+      }
 
       console.log('Placing Polymarket order:', {
         tokenId,
         side,
         price,
+        tickSize,
+        orderType,
         amount,
+        outcome: outcome.name,
         market: marketData.question
       });
 
       // Place the order using CLOB API
       const orderResponse = await clobClient.createAndPostOrder(
+        userOrder,
         {
-          tokenID: tokenId,
-          price: parseFloat(price),
-          side: side,
-          size: parseFloat(amount),
-          feeRateBps: 0,
-        },
-        {
-          tickSize: "0.001",
-          negRisk: marketData.negRisk || false
+          tickSize,
+          negRisk: negRisk || false
         },
-        OrderType.GTC
+        OrderType[orderType]
       );
 
       if (orderResponse && orderResponse.success !== false) {
         return {
           success: true,
-          orderId: orderResponse.orderId || orderResponse.data?.order_id || orderResponse.id,
-          executedPrice: marketData.price,
+          orderId: orderResponse.orderId || orderResponse.orderID || orderResponse.data?.order_id || orderResponse.id,
+          executedPrice: price,
           executedAmount: amount,
-          outcome: action === 'buy' ? marketData.outcomes[0] : marketData.outcomes[1],
-          marketId: marketData.id
+          outcome: outcome.name,
+          marketId: marketData.id,
+          tickSize,
+          orderType,
+          status: orderResponse.status || null // "matched" when filled, "live" when resting
         };
       } else {
-        throw new Error(orderResponse?.error || 'Order placement failed');
+        throw new Error(orderResponse?.error || orderResponse?.errorMsg || 'Order placement failed');
       }
 
     } catch (error) {
@@ -176,6 +790,175 @@ class PolymarketTrading {
     }
   }
 
+  // Minimum price increment for an outcome token as reported by the CLOB
+  async getTickSize(clobClient, tokenId) {
+    try {
+      const tickSize = await clobClient.getTickSize(tokenId);
+      return tickSize ? String(tickSize) : DEFAULT_TICK_SIZE;
+    } catch (error) {
+      console.error(`Error fetching tick size for ${tokenId}:`, error.message);
+      return DEFAULT_TICK_SIZE;
+    }
+  }
+
+  // Round a price to the nearest tick, keeping it inside (0, 1)
+  roundToTick(price, tickSize) {
+    const tick = parseFloat(tickSize);
+    const decimals = (String(tickSize).split('.')[1] || '').length;
+    const rounded = Math.round(parseFloat(price) / tick) * tick;
+    return parseFloat(Math.min(Math.max(rounded, tick), 1 - tick).toFixed(decimals));
+  }
+
+  // Authenticated CLOB client for one of the user's Privy wallets
+  async getWalletClobClient(walletId) {
+    const wallet = await this.privy.walletApi.getWallet(walletId);
+    const privateKey = await this.exportWalletPrivateKey(walletId);
+    if (!privateKey) {
+      throw new Error('Failed to access wallet private key');
+    }
+    return this.getClobClient(privateKey, wallet.address);
+  }
+
+  // Place a resting limit order on an outcome at a chosen price. options are
+  // { orderType, expiration, commandPrefix, commandSuffix }, the last two used to
+  // suggest a retry when several markets match. Returns the placeOrder result
+  // plus the resolved market and outcome
+  async placeLimitOrder(walletId, action, amount, asset, price, options = {}) {
+    try {
+      const { orderType = 'GTC', expiration = null, commandPrefix = null, commandSuffix = '' } = options;
+      const prepared = await this.prepareTrade(walletId, action, amount, asset, commandPrefix, commandSuffix);
+      if (prepared.error) {
+        return { success: false, error: prepared.error };
+      }
+
+      const { marketDetails, outcome } = prepared;
+      const privateKey = await this.exportWalletPrivateKey(walletId);
+      if (!privateKey) {
+        return { success: false, error: '❌ Failed to access wallet private key. Please try again.' };
+      }
+
+      const result = await this.placeOrder(walletId, action, amount, marketDetails, privateKey, outcome,
+        { price, orderType, expiration });
+
+      return { ...result, marketDetails, outcome };
+    } catch (error) {
+      console.error('Error placing Polymarket limit order:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Fill state of a CLOB order (see normalizeClobOrder), or null if unknown
+  async getOrder(walletId, orderId) {
+    const clobClient = await this.getWalletClobClient(walletId);
+    const order = await clobClient.getOrder(orderId);
+    return order ? this.normalizeClobOrder(order) : null;
+  }
+
+  // Orders still resting on the CLOB for a wallet
+  async getOpenOrders(walletId) {
+    const clobClient = await this.getWalletClobClient(walletId);
+    const orders = await clobClient.getOpenOrders();
+    return (orders || []).map(order => this.normalizeClobOrder(order));
+  }
+
+  // Convert a raw CLOB order into the shape used throughout the bot
+  normalizeClobOrder(order) {
+    return {
+      id: order.id,
+      status: String(order.status || '').toLowerCase(), // live, matched or canceled
+      conditionId: order.market,
+      tokenId: order.asset_id,
+      side: String(order.side || '').toLowerCase(),
+      outcome: order.outcome,
+      price: parseFloat(order.price),
+      originalSize: parseFloat(order.original_size || 0),
+      sizeMatched: parseFloat(order.size_matched || 0),
+      orderType: order.order_type || order.type || 'GTC',
+      expiration: parseInt(order.expiration) || null, // Unix seconds, GTD orders only
+      createdAt: order.created_at ? new Date(order.created_at * 1000) : null
+    };
+  }
+
+  async cancelOrder(walletId, orderId) {
+    return this.cancelOrders(walletId, [orderId]);
+  }
+
+  // Cancel specific orders. Returns { success, cancelled: [ids], failed: [[id, reason]] }
+  async cancelOrders(walletId, orderIds) {
+    return this.runCancel(walletId, clobClient => clobClient.cancelOrders(orderIds));
+  }
+
+  // Cancel every order resting in one market (by condition ID)
+  async cancelMarketOrders(walletId, conditionId) {
+    return this.runCancel(walletId, clobClient => clobClient.cancelMarketOrders({ market: conditionId }));
+  }
+
+  async cancelAllOrders(walletId) {
+    return this.runCancel(walletId, clobClient => clobClient.cancelAll());
+  }
+
+  // Cancel responses list { canceled: [ids], not_canceled: { id: reason } }
+  async runCancel(walletId, cancel) {
+    try {
+      const clobClient = await this.getWalletClobClient(walletId);
+      const response = await cancel(clobClient);
+
+      const cancelled = response?.canceled || [];
+      const failed = Object.entries(response?.not_canceled || {});
+      if (failed.length > 0 && cancelled.length === 0) {
+        return { success: false, error: failed[0][1], cancelled, failed };
+      }
+      return { success: true, cancelled, failed };
+    } catch (error) {
+      console.error('Error cancelling Polymarket orders:', error);
+      return { success: false, error: error.message, cancelled: [], failed: [] };
+    }
+  }
+
+  // Change the price of a resting order by cancelling it and placing the unfilled
+  // remainder at the new price (same outcome, side and expiry). Returns the
+  // placeOrder result plus the replaced order and the size carried over
+  async amendOrder(walletId, orderId, price) {
+    try {
+      const previous = await this.getOrder(walletId, orderId);
+      if (!previous) {
+        return { success: false, error: 'Order not found on the CLOB' };
+      }
+      if (previous.status !== 'live') {
+        return { success: false, error: `Order is ${previous.status}, not open` };
+      }
+
+      // Gather everything the replacement needs while the original still rests,
+      // so a failed lookup leaves the order untouched
+      const remaining = previous.originalSize - previous.sizeMatched;
+      const marketData = await this.getMarketByConditionId(previous.conditionId);
+      if (!marketData) {
+        return { success: false, error: 'Market details unavailable; the order was left unchanged', previous };
+      }
+      const privateKey = await this.exportWalletPrivateKey(walletId);
+      if (!privateKey) {
+        return { success: false, error: 'Failed to access wallet private key; the order was left unchanged', previous };
+      }
+
+      const cancelled = await this.cancelOrder(walletId, orderId);
+      if (!cancelled.success) {
+        return { ...cancelled, previous };
+      }
+
+      // From here on the original is gone: every result reports the size to re-post
+      const result = await this.placeOrder(walletId, previous.side, remaining, marketData, privateKey,
+        { tokenId: previous.tokenId, name: previous.outcome, price: previous.price },
+        previous.expiration
+          ? { price, orderType: 'GTD', expiration: new Date((previous.expiration - GTD_EXPIRATION_BUFFER_SECONDS) * 1000) }
+          : { price, orderType: 'GTC' });
+
+      return { ...result, previous, remaining, marketData, replaced: result.success };
+    } catch (error) {
+      console.error('Error amending Polymarket order:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async getClobClient(privateKey, walletAddress) {
     // Check if we already have a client for this wallet
     if (this.clients.has(walletAddress)) {
@@ -205,32 +988,6 @@ class PolymarketTrading {
     }
   }
 
-  async getTokenId(marketData, action) {
-    try {
-      // Get detailed market information to find token IDs
-      const marketDetails = await this.getMarketDetails(marketData.id);
-
-      if (!marketDetails || !marketDetails.outcomes) {
-        return null;
-      }
-
-      // Find the token ID for the selected outcome
-      const outcome = action === 'buy' ? marketData.outcomes[0] : marketData.outcomes[1];
-
-      for (let i = 0; i < marketDetails.outcomes.length; i++) {
-        if (marketDetails.outcomes[i] === outcome) {
-          // Return the token ID for this outcome
-          return marketDetails.tokens ? marketDetails.tokens[i] : null;
-        }
-      }
-
-      return null;
-    } catch (error) {
-      console.error('Error getting token ID:', error);
-      return null;
-    }
-  }
-
   async exportWalletPrivateKey(walletId) {
     const { CipherSuite, DhkemP256HkdfSha256, HkdfSha256 } = require('@hpke/core');
     const { Chacha20Poly1305 } = require('@hpke/chacha20poly1305');
@@ -339,17 +1096,7 @@ class PolymarketTrading {
       });
 
       if (response.data && Array.isArray(response.data)) {
-        const positions = response.data.map(pos => ({
-          marketId: pos.market,
-          marketQuestion: pos.title || 'Unknown Market',
-          outcome: pos.outcome,
-          shares: parseFloat(pos.size),
-          avgPrice: parseFloat(pos.avgPrice || 0),
-          currentPrice: parseFloat(pos.curPrice || 0),
-          value: parseFloat(pos.size) * parseFloat(pos.curPrice || 0),
-          pnl: parseFloat(pos.pnl || 0),
-          pnlPercent: parseFloat(pos.pnlPercent || 0)
-        }));
+        const positions = response.data.map(pos => this.normalizePosition(pos));
 
         const totalValue = positions.reduce((sum, pos) => sum + pos.value, 0);
 
@@ -371,6 +1118,7 @@ class PolymarketTrading {
     } catch (error) {
       console.error('Error getting Polymarket positions:', error);
       return {
+        unavailable: true, // A failed lookup, not an empty portfolio
         positions: [],
         wallet: null,
         totalValue: 0,
@@ -380,6 +1128,92 @@ class PolymarketTrading {
     }
   }
 
+  // Convert a Data API position into the shape used throughout the bot
+  normalizePosition(pos) {
+    return {
+      marketId: pos.market,
+      conditionId: pos.conditionId,
+      tokenId: pos.asset,
+      marketQuestion: pos.title || 'Unknown Market',
+      outcome: pos.outcome,
+      outcomeIndex: pos.outcomeIndex,
+      shares: parseFloat(pos.size),
+      avgPrice: parseFloat(pos.avgPrice || 0),
+      currentPrice: parseFloat(pos.curPrice || 0),
+      value: parseFloat(pos.size) * parseFloat(pos.curPrice || 0),
+      pnl: parseFloat(pos.pnl || 0),
+      pnlPercent: parseFloat(pos.pnlPercent || 0),
+      redeemable: Boolean(pos.redeemable), // Market resolved; shares can be redeemed for USDC
+      negRisk: Boolean(pos.negativeRisk)
+    };
+  }
+
+  // Positions in markets that have resolved, winning or losing. currentPrice is the
+  // final payout per share (1 for the winning outcome, 0 for a losing one)
+  async getResolvedPositions(walletId) {
+    const wallet = await this.privy.walletApi.getWallet(walletId);
+    const response = await axios.get(`${this.dataApiUrl}/positions`, {
+      params: {
+        user: wallet.address.toLowerCase(),
+        redeemable: true,
+        limit: 100
+      },
+      timeout: 5000
+    });
+
+    return (Array.isArray(response.data) ? response.data : [])
+      .map(pos => this.normalizePosition(pos))
+      .filter(pos => pos.redeemable && pos.shares > 0);
+  }
+
+  // Redeem every outcome token the wallet holds in a resolved market for USDC.e.
+  // negRisk markets redeem through the adapter, which needs the exact token amounts.
+  // The wallet pays Polygon gas in POL. Returns { success, txHash } or { success: false, error }
+  async redeemPositions(walletId, conditionId) {
+    try {
+      const privateKey = await this.exportWalletPrivateKey(walletId);
+      if (!privateKey) {
+        throw new Error('Failed to access wallet private key');
+      }
+
+      const market = await this.getMarketByConditionId(conditionId);
+      if (!market) {
+        throw new Error(`Market ${conditionId} not found`);
+      }
+
+      const provider = new JsonRpcProvider(this.polygonRpcUrl, this.chainId);
+      const signer = new Wallet(privateKey, provider);
+      const ctf = new Contract(CTF_ADDRESS, CTF_ABI, signer);
+
+      let tx;
+      if (market.negRisk) {
+        const amounts = await Promise.all(market.tokens.map(tokenId => ctf.balanceOf(signer.address, tokenId)));
+        if (amounts.every(amount => amount === 0n)) {
+          throw new Error('No outcome tokens left to redeem');
+        }
+
+        const adapter = new Contract(NEG_RISK_ADAPTER_ADDRESS, NEG_RISK_ADAPTER_ABI, signer);
+        tx = await adapter.redeemPositions(conditionId, amounts);
+      } else {
+        // Index sets 1 and 2 cover both outcomes of a binary condition
+        tx = await ctf.redeemPositions(USDC_E_ADDRESS, ZeroHash, conditionId, [1, 2]);
+      }
+
+      const receipt = await tx.wait();
+      if (!receipt || receipt.status !== 1) {
+        throw new Error(`Redemption transaction ${tx.hash} failed`);
+      }
+
+      return { success: true, txHash: tx.hash };
+    } catch (error) {
+      console.error('Error redeeming Polymarket positions:', error);
+      const message = error.code === 'INSUFFICIENT_FUNDS'
+        ? 'Not enough POL in the wallet to pay Polygon gas'
+        : error.shortMessage || error.message;
+      return { success: false, error: message };
+    }
+  }
+
   async getBalance(walletId) {
     try {
       const positions = await this.getPositions(walletId);
@@ -392,44 +1226,8 @@ class PolymarketTrading {
 
   async getMarkets(limit = 10) {
     try {
-      const response = await axios.get(`${this.apiUrl}/markets`, {
-        params: {
-          closed: false,
-          active: true,
-          limit: limit
-        },
-        timeout: 5000
-      });
-
-      // Transform real Polymarket API response
-      if (response.data && Array.isArray(response.data)) {
-        return response.data.map(market => {
-          // Parse outcomes from JSON string if needed
-          let outcomes = ['Yes', 'No']; // default
-          if (market.outcomes) {
-            try {
-              outcomes = typeof market.outcomes === 'string'
-                ? JSON.parse(market.outcomes)
-                : market.outcomes;
-            } catch (e) {
-              console.warn('Failed to parse market outcomes:', market.outcomes);
-            }
-          }
-
-          return {
-            id: market.id,
-            question: market.question || 'Unknown Question',
-            price: Math.round((market.outcomes?.[0]?.price || 0.5) * 10000), // Convert to cents
-            volume: market.volume || '0',
-            outcomes: outcomes,
-            closed: market.closed || false,
-            endDate: market.endDate,
-            category: market.category || 'General'
-          };
-        });
-      }
-
-      return [];
+      const { markets } = await this.browseMarkets({ pageSize: limit });
+      return markets;
     } catch (error) {
       console.error('Error getting Polymarket markets:', error.message);
       // Return empty array instead of mock data
@@ -437,34 +1235,100 @@ class PolymarketTrading {
     }
   }
 
+  // One page of active markets for browsing. options:
+  // { sort: volume|liquidity|ending|newest, tag: category slug, search: keywords, page, pageSize }.
+  // Keyword searches rank the cached active markets locally; everything else is a Gamma query.
+  // Returns { markets, hasMore }
+  async browseMarkets({ sort = 'volume', tag = null, search = null, page = 0, pageSize = 5 } = {}) {
+    const sortSpec = MARKET_SORTS[sort] || MARKET_SORTS.volume;
+
+    if (search) {
+      // Within a category, search that category's markets rather than the full cache
+      const pool = tag
+        ? (await axios.get(`${this.apiUrl}/markets`, {
+          params: { closed: false, active: true, tag_id: await this.getTagId(tag), limit: 500 },
+          timeout: 10000
+        })).data || []
+        : await this.fetchActiveMarkets();
+
+      const sorted = pool
+        .map(market => ({ market, score: this.scoreMarketMatch(search, market) }))
+        .filter(result => result.score >= 0.5)
+        .sort((a, b) => b.score - a.score || sortSpec.compare(a.market, b.market))
+        .map(result => result.market);
+
+      return {
+        markets: sorted.slice(page * pageSize, (page + 1) * pageSize).map(market => this.normalizeMarket(market)),
+        hasMore: sorted.length > (page + 1) * pageSize
+      };
+    }
+
+    const params = {
+      closed: false,
+      active: true,
+      order: sortSpec.order,
+      ascending: sortSpec.ascending,
+      limit: pageSize + 1, // One extra to know whether there is a next page
+      offset: page * pageSize
+    };
+    if (sort === 'ending') {
+      params.end_date_min = new Date().toISOString(); // Skip markets past their end date awaiting resolution
+    }
+    if (tag) {
+      params.tag_id = await this.getTagId(tag);
+    }
+
+    const response = await axios.get(`${this.apiUrl}/markets`, { params, timeout: 10000 });
+    const markets = Array.isArray(response.data) ? response.data : [];
+
+    return {
+      markets: markets.slice(0, pageSize).map(market => this.normalizeMarket(market)),
+      hasMore: markets.length > pageSize
+    };
+  }
+
+  // Gamma tag ID for a category slug such as "politics" or "crypto" (cached)
+  async getTagId(slug) {
+    const key = slug.toLowerCase();
+    if (this.tagIds.has(key)) {
+      return this.tagIds.get(key);
+    }
+
+    const response = await axios.get(`${this.apiUrl}/tags/slug/${encodeURIComponent(key)}`, { timeout: 5000 })
+      .catch(error => {
+        console.error(`Error looking up tag ${key}:`, error.message);
+        return { data: null };
+      });
+
+    if (!response.data?.id) {
+      throw new Error(`Unknown category "${slug}". Try one like politics, crypto, sports or economy.`);
+    }
+
+    this.tagIds.set(key, response.data.id);
+    return response.data.id;
+  }
+
   async getMarketDetails(marketId) {
     try {
       const response = await axios.get(`${this.apiUrl}/markets/${marketId}`);
 
       if (response.data) {
-        // Parse outcomes from JSON string if needed
-        let outcomes = ['Yes', 'No']; // default
-        if (response.data.outcomes) {
-          try {
-            outcomes = typeof response.data.outcomes === 'string'
-              ? JSON.parse(response.data.outcomes)
-              : response.data.outcomes;
-          } catch (e) {
-            console.warn('Failed to parse market outcomes:', response.data.outcomes);
-          }
-        }
+        const outcomes = parseJsonArray(response.data.outcomes, ['Yes', 'No']);
+        const outcomePrices = parseJsonArray(response.data.outcomePrices, []);
 
         return {
           id: response.data.id,
+          conditionId: response.data.conditionId,
           question: response.data.question,
           description: response.data.description,
           outcomes: outcomes,
-          tokens: response.data.tokens || [], // Token IDs for each outcome
-          prices: outcomes.map((_, i) => response.data.prices?.[i] || 0.5) || [0.5, 0.5],
+          tokens: parseJsonArray(response.data.clobTokenIds, []), // Token IDs for each outcome
+          prices: outcomes.map((_, i) => parseFloat(outcomePrices[i] || 0.5)),
           volume: response.data.volume || '0',
           closed: response.data.closed || false,
           endDate: response.data.endDate,
           category: response.data.category || 'General',
+          groupItemTitle: response.data.groupItemTitle || null,
           negRisk: response.data.negRisk || false
         };
       }
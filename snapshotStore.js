@@ -0,0 +1,56 @@
+const { dataPath, loadJson, saveJson } = require('./storage');
+
+class SnapshotStore {
+  constructor(filePath, retentionDays = 90) {
+    this.filePath = filePath || dataPath('pnlSnapshots.json');
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+    this.snapshots = loadJson(this.filePath, {}); // userId -> snapshots, oldest first
+  }
+
+  save() {
+    saveJson(this.filePath, this.snapshots);
+  }
+
+  // Append a portfolio snapshot ({ totalUsd, venues }) and drop expired ones
+  add(userId, snapshot, now = new Date()) {
+    const userKey = String(userId);
+    const entry = {
+      timestamp: now.toISOString(),
+      ...snapshot
+    };
+
+    const userSnapshots = [...(this.snapshots[userKey] || []), entry];
+
+    // Keep the first snapshot forever so all-time changes have a baseline
+    const cutoff = now.getTime() - this.retentionMs;
+    this.snapshots[userKey] = userSnapshots.filter((s, i) =>
+      i === 0 || new Date(s.timestamp).getTime() >= cutoff
+    );
+    this.save();
+
+    return entry;
+  }
+
+  getUserIds() {
+    return Object.keys(this.snapshots);
+  }
+
+  getUserSnapshots(userId) {
+    return this.snapshots[String(userId)] || [];
+  }
+
+  getLatest(userId) {
+    const userSnapshots = this.getUserSnapshots(userId);
+    return userSnapshots[userSnapshots.length - 1] || null;
+  }
+
+  // Baseline for a window: the newest snapshot taken at or before `since`,
+  // or the oldest one when history does not reach back that far
+  getBaseline(userId, since) {
+    const userSnapshots = this.getUserSnapshots(userId);
+    const before = userSnapshots.filter(s => new Date(s.timestamp).getTime() <= since);
+    return before[before.length - 1] || userSnapshots[0] || null;
+  }
+}
+
+module.exports = SnapshotStore;
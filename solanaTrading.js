@@ -1,76 +1,284 @@
 const axios = require('axios');
 const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 
+// Common tokens resolved without a Jupiter lookup
+const KNOWN_TOKENS = {
+  'SOL': { mint: 'So11111111111111111111111111111111111111112', symbol: 'SOL', decimals: 9 },
+  'USDC': { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', decimals: 6 },
+  'USDT': { mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', decimals: 6 }
+};
+
 class SolanaTrading {
   constructor(privyClient) {
     this.privy = privyClient;
     this.jupiterUltraUrl = 'https://lite-api.jup.ag/ultra/v1';
     this.jupiterUltraExecuteUrl = 'https://api.jup.ag/ultra/v1';
+    this.jupiterPriceUrl = 'https://lite-api.jup.ag/price/v3';
     this.connection = new Connection('https://api.mainnet.solana.com');
+    this.tokenCache = new Map(); // Cache resolved tokens by symbol/mint
 
     // Jupiter Ultra API requires API key for some endpoints
     this.apiKey = process.env.JUPITER_API_KEY || null;
+
+    // Swap slippage: default when nothing is set, and a hard ceiling for any request
+    this.defaultSlippageBps = 50; // 0.5%
+    this.maxSlippageBps = parseInt(process.env.MAX_SLIPPAGE_BPS) || 500;
   }
 
-  async executeTrade(walletId, action, amount, asset, chatId, bot) {
+  // quotedOrder: an Ultra order from getQuote that the user already confirmed
+  // defaultSlippageBps: the user's stored default, used when the trade sets none
+  // Failed results carry `submitted`: true when the swap may have reached the chain
+  async executeTrade(walletId, action, amount, asset, chatId, bot, quotedOrder = null, defaultSlippageBps = null) {
     try {
       bot.sendMessage(chatId, `🔄 Processing Solana ${action} ${amount} ${asset}...`);
 
-      // Get wallet address for taker parameter
-      const walletAddress = await this.getWalletPublicKey(walletId);
+      // Split "BONK with USDT slippage=1%" into asset, counter token and slippage
+      const { asset: baseAsset, quoteAsset, slippageBps } = this.parseAssetPair(asset);
 
-      // Get order from Jupiter Ultra API
-      const order = await this.getUltraOrder(asset, amount, action, walletAddress);
+      // Get order from Jupiter Ultra API unless a confirmed quote was passed in
+      let order = quotedOrder;
+      if (!order) {
+        const walletAddress = await this.getWalletPublicKey(walletId);
+        order = await this.getUltraOrder(baseAsset, amount, action, walletAddress, quoteAsset,
+          this.resolveSlippageBps(slippageBps, defaultSlippageBps));
+      }
 
       if (!order || !order.transaction) {
         bot.sendMessage(chatId, '❌ Unable to get order. Please check the asset symbol and try again.');
-        return;
+        return { success: false, error: 'Unable to get order', submitted: false };
       }
 
       // Execute the order using Jupiter Ultra API
       const result = await this.executeUltraOrder(order, walletId);
 
       if (result) {
-        const inAmount = parseFloat(order.inAmount) / (action === 'buy' ? 1000000 : LAMPORTS_PER_SOL);
-        const outAmount = parseFloat(order.outAmount) / (action === 'buy' ? LAMPORTS_PER_SOL : 1000000);
+        const { inputToken, outputToken } = order;
+        const inAmount = parseFloat(order.inAmount) / Math.pow(10, inputToken.decimals);
+        const outAmount = parseFloat(order.outAmount) / Math.pow(10, outputToken.decimals);
 
-        bot.sendMessage(chatId, `✅ **Successfully executed ${action} ${amount} ${asset}**\n\n📊 **Trade Details:**\n• Input: ${inAmount.toFixed(6)} ${action === 'buy' ? 'USDC' : 'SOL'}\n• Output: ${outAmount.toFixed(6)} ${action === 'buy' ? 'SOL' : 'USDC'}\n• Price Impact: ${order.priceImpactPct}%\n• Fee: ${(parseFloat(order.feeBps) / 100).toFixed(2)}%\n\n🔗 **Tx:** https://solscan.io/tx/${result.txHash}`);
-      } else {
-        bot.sendMessage(chatId, '❌ Failed to execute trade. Please try again.');
+        bot.sendMessage(chatId, `✅ **Successfully executed ${action} ${amount} ${baseAsset}**\n\n📊 **Trade Details:**\n• Input: ${inAmount.toFixed(6)} ${inputToken.symbol}\n• Output: ${outAmount.toFixed(6)} ${outputToken.symbol}\n• Price Impact: ${order.priceImpactPct}%\n• Fee: ${(parseFloat(order.feeBps) / 100).toFixed(2)}%\n• Slippage: ${(order.appliedSlippageBps / 100).toFixed(2)}%\n\n🔗 **Tx:** https://solscan.io/tx/${result.txHash}`);
+
+        return { success: true, trade: this.describeSwap(action, order, inAmount, outAmount, result.txHash) };
       }
 
+      bot.sendMessage(chatId, '❌ Failed to execute trade. Please try again.');
+      return { success: false, error: 'Execution failed', submitted: true };
+
     } catch (error) {
       console.error('Error executing Solana trade:', error);
       bot.sendMessage(chatId, `❌ **Trade Error:** ${error.message}`);
+      return { success: false, error: error.message, submitted: Boolean(error.submitted) };
     }
   }
 
-  async getUltraOrder(asset, amount, action, takerAddress) {
+  // Ledger view of an executed swap: size in the traded token, price and
+  // fees in the counter token
+  describeSwap(action, order, inAmount, outAmount, txHash) {
+    const { inputToken, outputToken } = order;
+    const feeRate = parseFloat(order.feeBps || 0) / 10000;
+    const isBuy = action === 'buy';
+
+    return {
+      asset: isBuy ? outputToken.symbol : inputToken.symbol,
+      size: isBuy ? outAmount : inAmount,
+      price: isBuy ? inAmount / outAmount : outAmount / inAmount,
+      quoteAsset: isBuy ? inputToken.symbol : outputToken.symbol,
+      fees: (isBuy ? inAmount : outAmount) * feeRate,
+      txId: txHash
+    };
+  }
+
+  // Preview of a swap for confirmation; the returned order can be executed as-is
+  async getQuote(walletId, action, amount, asset, defaultSlippageBps = null) {
+    let pair;
     try {
-      // Map common assets to token mints
-      const tokenMap = {
-        'SOL': 'So11111111111111111111111111111111111111112',
-        'USDC': 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
-        'USDT': 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+      pair = this.parseAssetPair(asset);
+    } catch (error) {
+      return { error: `❌ ${error.message}` };
+    }
+
+    const { asset: baseAsset, quoteAsset, slippageBps } = pair;
+    const walletAddress = await this.getWalletPublicKey(walletId);
+    const order = await this.getUltraOrder(baseAsset, amount, action, walletAddress, quoteAsset,
+      this.resolveSlippageBps(slippageBps, defaultSlippageBps));
+
+    if (!order || !order.transaction) {
+      return { error: '❌ Unable to get a quote. Please check the asset symbol and try again.' };
+    }
+
+    const { inputToken, outputToken } = order;
+    const inAmount = parseFloat(order.inAmount) / Math.pow(10, inputToken.decimals);
+    const outAmount = parseFloat(order.outAmount) / Math.pow(10, outputToken.decimals);
+
+    return {
+      order,
+      lines: [
+        `📤 **You pay:** ${inAmount.toFixed(6)} ${inputToken.symbol}${order.inUsdValue ? ` (~$${parseFloat(order.inUsdValue).toFixed(2)})` : ''}`,
+        `📥 **You receive:** ~${outAmount.toFixed(6)} ${outputToken.symbol}${order.outUsdValue ? ` (~$${parseFloat(order.outUsdValue).toFixed(2)})` : ''}`,
+        `💱 **Rate:** 1 ${outputToken.symbol} = ${(inAmount / outAmount).toPrecision(6)} ${inputToken.symbol}`,
+        `📉 **Price Impact:** ${order.priceImpactPct}%`,
+        `💸 **Fee:** ${(parseFloat(order.feeBps || 0) / 100).toFixed(2)}%`,
+        `🎚️ **Slippage:** ${(order.appliedSlippageBps / 100).toFixed(2)}%`
+      ]
+    };
+  }
+
+  // Parse "<asset> [with|for <token>] [slippage=<x%>]" into the traded asset,
+  // counter token and slippage override (bps, or null when not given)
+  parseAssetPair(asset) {
+    let slippageBps = null;
+    const text = asset.trim().replace(/\s*\bslippage=(\S+)/i, (_, value) => {
+      slippageBps = this.parseSlippage(value);
+      return '';
+    }).trim();
+
+    const match = text.match(/^(.+?)\s+(?:with|for)\s+(\S+)$/i);
+    if (match) {
+      return { asset: match[1].trim(), quoteAsset: match[2], slippageBps };
+    }
+    return { asset: text, quoteAsset: null, slippageBps };
+  }
+
+  // Counter token defaults to USDC (or SOL when trading USDC itself)
+  async resolveQuoteToken(assetToken, quoteAsset = null) {
+    return this.resolveToken(
+      quoteAsset || (assetToken.symbol.toUpperCase() === 'USDC' ? 'SOL' : 'USDC')
+    );
+  }
+
+  // Resolve a /trade-style asset string ("BONK" or "BONK with SOL") to
+  // { baseToken, quoteToken }
+  async resolveAssetPair(asset) {
+    const { asset: baseAsset, quoteAsset } = this.parseAssetPair(asset);
+    const baseToken = await this.resolveToken(baseAsset);
+    const quoteToken = await this.resolveQuoteToken(baseToken, quoteAsset);
+    return { baseToken, quoteToken };
+  }
+
+  // Token a trade spends for a /trade-style asset string: the counter token
+  // for buys, the asset itself for sells
+  async getSpendToken(asset, action) {
+    const { baseToken, quoteToken } = await this.resolveAssetPair(asset);
+    return action === 'buy' ? quoteToken : baseToken;
+  }
+
+  // Parse "1%", "0.5%", "50bps" or a bare percentage into basis points
+  parseSlippage(value) {
+    const match = String(value).trim().match(/^(\d*\.?\d+)\s*(%|bps)?$/i);
+    if (!match) {
+      throw new Error(`Invalid slippage "${value}". Use a percentage like 1% or basis points like 50bps.`);
+    }
+
+    const bps = match[2]?.toLowerCase() === 'bps'
+      ? Math.round(parseFloat(match[1]))
+      : Math.round(parseFloat(match[1]) * 100);
+
+    if (bps <= 0) {
+      throw new Error('Slippage must be greater than 0.');
+    }
+    if (bps > this.maxSlippageBps) {
+      throw new Error(`Slippage ${(bps / 100).toFixed(2)}% exceeds the ${(this.maxSlippageBps / 100).toFixed(2)}% safety ceiling.`);
+    }
+
+    return bps;
+  }
+
+  // Per-trade override, then the user's default, then the bot default
+  resolveSlippageBps(tradeSlippageBps, userSlippageBps) {
+    const bps = tradeSlippageBps || userSlippageBps || this.defaultSlippageBps;
+    return Math.min(bps, this.maxSlippageBps);
+  }
+
+  isTokenAddress(query) {
+    return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(query);
+  }
+
+  // Resolve a symbol or mint address to { mint, symbol, decimals }
+  async resolveToken(query) {
+    const key = query.trim();
+    const known = KNOWN_TOKENS[key.toUpperCase()];
+    if (known) {
+      return { ...known };
+    }
+
+    const cacheKey = this.isTokenAddress(key) ? key : key.toUpperCase();
+    if (this.tokenCache.has(cacheKey)) {
+      return { ...this.tokenCache.get(cacheKey) };
+    }
+
+    let token;
+    if (this.isTokenAddress(key)) {
+      const validation = await this.validateTokenAddress(key);
+      if (!validation.valid) {
+        throw new Error(validation.error || `Invalid token address: ${key}`);
+      }
+      if (!validation.tradable) {
+        throw new Error(`Token ${key} is not tradable on Jupiter`);
+      }
+
+      token = {
+        mint: validation.token.address,
+        symbol: validation.token.symbol,
+        decimals: validation.token.decimals
       };
+    } else {
+      const searchResults = await this.searchToken(key);
+      const matches = (searchResults.tokens || []).filter(t =>
+        t.symbol?.toUpperCase() === key.toUpperCase()
+      );
+
+      if (matches.length === 0) {
+        throw new Error(`Token "${key}" not found on Jupiter. Try /tokeninfo ${key} or use the contract address.`);
+      }
+
+      // Prefer verified tokens, then the most liquid one
+      matches.sort((a, b) =>
+        (b.isVerified ? 1 : 0) - (a.isVerified ? 1 : 0) ||
+        parseFloat(b.liquidity || 0) - parseFloat(a.liquidity || 0)
+      );
+
+      token = {
+        mint: matches[0].id || matches[0].address,
+        symbol: matches[0].symbol,
+        decimals: matches[0].decimals
+      };
+    }
+
+    if (token.decimals === undefined || token.decimals === null) {
+      throw new Error(`Unable to determine decimals for ${key}`);
+    }
+
+    this.tokenCache.set(cacheKey, token);
+    return { ...token };
+  }
 
-      const inputMint = action === 'buy' ? tokenMap['USDC'] : tokenMap['SOL'];
-      const outputMint = action === 'buy' ? tokenMap['SOL'] : tokenMap['USDC'];
+  async getUltraOrder(asset, amount, action, takerAddress, quoteAsset = null, slippageBps = this.defaultSlippageBps) {
+    try {
+      const assetToken = await this.resolveToken(asset);
+      const quoteToken = await this.resolveQuoteToken(assetToken, quoteAsset);
+
+      if (assetToken.mint === quoteToken.mint) {
+        throw new Error(`Cannot swap ${assetToken.symbol} for itself`);
+      }
+
+      // Buys spend the counter token, sells spend the asset
+      const inputToken = action === 'buy' ? quoteToken : assetToken;
+      const outputToken = action === 'buy' ? assetToken : quoteToken;
 
-      if (!inputMint || !outputMint) {
-        throw new Error('Unsupported asset. Supported: SOL, USDC, USDT');
+      const parsedAmount = parseFloat(amount);
+      if (isNaN(parsedAmount) || parsedAmount <= 0) {
+        throw new Error('Invalid amount. Must be a positive number.');
       }
 
-      const amountInLamports = action === 'buy'
-        ? Math.floor(parseFloat(amount) * 1000000) // USDC has 6 decimals
-        : Math.floor(parseFloat(amount) * LAMPORTS_PER_SOL); // SOL has 9 decimals
+      // Amount is denominated in the input token's base units
+      const amountInBaseUnits = Math.floor(parsedAmount * Math.pow(10, inputToken.decimals));
 
       const params = new URLSearchParams({
-        inputMint,
-        outputMint,
-        amount: amountInLamports.toString(),
+        inputMint: inputToken.mint,
+        outputMint: outputToken.mint,
+        amount: amountInBaseUnits.toString(),
         taker: takerAddress,
-        slippageBps: '50' // 0.5% slippage
+        slippageBps: slippageBps.toString()
       });
 
       const headers = {};
@@ -83,14 +291,21 @@ class SolanaTrading {
         timeout: 10000
       });
 
-      return response.data;
+      return {
+        ...response.data,
+        inputToken,
+        outputToken,
+        appliedSlippageBps: slippageBps
+      };
     } catch (error) {
       console.error('Error getting Jupiter Ultra order:', error);
       throw new Error(`Failed to get order: ${error.response?.data?.message || error.message}`);
     }
   }
 
+  // Errors thrown here carry `submitted`: true once the transaction was handed to Privy
   async executeUltraOrder(order, walletId) {
+    let submitted = false;
     try {
       if (!order.requestId) {
         throw new Error('No request ID in order response');
@@ -116,6 +331,7 @@ class SolanaTrading {
       }
 
       // Execute the transaction using Privy
+      submitted = true;
       const result = await this.privy.walletApi.solana.sendTransaction({
         walletId,
         transaction: executeResponse.data.transaction,
@@ -125,7 +341,9 @@ class SolanaTrading {
       return result;
     } catch (error) {
       console.error('Error executing Ultra order:', error);
-      throw new Error(`Failed to execute order: ${error.response?.data?.message || error.message}`);
+      const failure = new Error(`Failed to execute order: ${error.response?.data?.message || error.message}`);
+      failure.submitted = submitted;
+      throw failure;
     }
   }
 
@@ -185,6 +403,42 @@ class SolanaTrading {
     }
   }
 
+  // Batch USD price lookup keyed by mint: { [mint]: { usdPrice, priceChange24h } }
+  async getTokenPrices(mints) {
+    const prices = {};
+    const uniqueMints = [...new Set(mints.filter(Boolean))];
+
+    const headers = {};
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    // Price API accepts up to 50 ids per request
+    for (let i = 0; i < uniqueMints.length; i += 50) {
+      const ids = uniqueMints.slice(i, i + 50).join(',');
+      const response = await axios.get(`${this.jupiterPriceUrl}?ids=${ids}`, {
+        headers,
+        timeout: 5000
+      });
+
+      for (const [mint, data] of Object.entries(response.data || {})) {
+        if (data && data.usdPrice) {
+          prices[mint] = {
+            usdPrice: parseFloat(data.usdPrice),
+            priceChange24h: data.priceChange24h !== undefined ? parseFloat(data.priceChange24h) : null
+          };
+        }
+      }
+    }
+
+    return prices;
+  }
+
+  async getTokenPrice(mint) {
+    const prices = await this.getTokenPrices([mint]);
+    return prices[mint]?.usdPrice || null;
+  }
+
   async getUltraBalances(walletAddress) {
     try {
       const params = new URLSearchParams({
@@ -204,10 +458,105 @@ class SolanaTrading {
       return response.data;
     } catch (error) {
       console.error('Error getting Ultra balances:', error);
-      return null; the 
+      return null;
     }
   }
 
+  // Symbol/name/decimals for a list of mints, via the Token API search (up to 100 per query)
+  async getTokenMetadata(mints) {
+    const metadata = {};
+    const missing = [];
+
+    mints.forEach(mint => {
+      if (this.tokenCache.has(mint)) {
+        metadata[mint] = this.tokenCache.get(mint);
+      } else {
+        missing.push(mint);
+      }
+    });
+
+    for (let i = 0; i < missing.length; i += 100) {
+      const searchParams = new URLSearchParams({
+        query: missing.slice(i, i + 100).join(',')
+      });
+
+      const response = await axios.get(`https://lite-api.jup.ag/tokens/v2/search?${searchParams}`, {
+        timeout: 5000
+      });
+
+      (Array.isArray(response.data) ? response.data : []).forEach(token => {
+        const info = { mint: token.id, symbol: token.symbol, name: token.name, decimals: token.decimals };
+        this.tokenCache.set(token.id, info);
+        metadata[token.id] = info;
+      });
+    }
+
+    return metadata;
+  }
+
+  // Every token the wallet holds with USD value and 24h change. Holdings worth less
+  // than dustThresholdUsd are left out of the list (but still counted in hiddenCount)
+  async getTokenHoldings(walletId, dustThresholdUsd = 0) {
+    const walletAddress = await this.getWalletPublicKey(walletId);
+    const balances = await this.getUltraBalances(walletAddress);
+
+    if (!balances) {
+      throw new Error('Unable to fetch token balances');
+    }
+
+    // Ultra reports native SOL under the "SOL" key rather than its mint
+    const entries = Object.entries(balances)
+      .map(([key, balance]) => ({
+        mint: key === 'SOL' ? KNOWN_TOKENS.SOL.mint : key,
+        amount: parseFloat(balance.uiAmount || 0)
+      }))
+      .filter(entry => entry.amount > 0);
+
+    const mints = entries.map(entry => entry.mint);
+    const [prices, metadata] = await Promise.all([
+      this.getTokenPrices(mints),
+      this.getTokenMetadata(mints).catch(error => {
+        console.error('Error getting token metadata:', error);
+        return {};
+      })
+    ]);
+
+    const holdings = entries.map(entry => {
+      const price = prices[entry.mint];
+      const usdPrice = price ? price.usdPrice : null;
+      return {
+        mint: entry.mint,
+        symbol: metadata[entry.mint]?.symbol || `${entry.mint.slice(0, 4)}…${entry.mint.slice(-4)}`,
+        amount: entry.amount,
+        usdPrice,
+        usdValue: usdPrice ? entry.amount * usdPrice : 0,
+        priceChange24h: price ? price.priceChange24h : null
+      };
+    }).sort((a, b) => b.usdValue - a.usdValue);
+
+    const visible = holdings.filter(h => h.usdValue >= dustThresholdUsd);
+
+    return {
+      holdings: visible,
+      hiddenCount: holdings.length - visible.length,
+      totalUsd: holdings.reduce((sum, h) => sum + h.usdValue, 0)
+    };
+  }
+
+  // Balance of a single token in UI units
+  async getTokenBalance(walletId, mint) {
+    const walletAddress = await this.getWalletPublicKey(walletId);
+    const balances = await this.getUltraBalances(walletAddress);
+
+    if (!balances) {
+      throw new Error('Unable to fetch token balances');
+    }
+
+    // Ultra reports native SOL under the "SOL" key rather than its mint
+    const balance = balances[mint === KNOWN_TOKENS.SOL.mint ? 'SOL' : mint];
+    return parseFloat(balance?.uiAmount || 0);
+  }
+
   async getWalletPublicKey(walletId) {
     try {
       const wallet = await this.privy.walletApi.getWallet(walletId);
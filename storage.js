@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the bot's persistent state (override with DATA_DIR)
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, 'data');
+}
+
+function dataPath(fileName) {
+  return path.join(getDataDir(), fileName);
+}
+
+// Read a JSON file, returning the fallback when it does not exist yet. A file that
+// exists but cannot be parsed is moved aside (kept for recovery) before falling back,
+// so the next save cannot overwrite it; any other read error is thrown
+function loadJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, corruptPath);
+    console.error(`Error parsing ${filePath}, moved it to ${corruptPath} and starting empty:`, error);
+    return fallback;
+  }
+}
+
+// Write a JSON file atomically (temp file + rename) so a crash mid-write
+// never leaves a truncated store behind
+function saveJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  getDataDir,
+  dataPath,
+  loadJson,
+  saveJson
+};
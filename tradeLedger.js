@@ -0,0 +1,138 @@
+const { dataPath, loadJson, saveJson } = require('./storage');
+
+// Columns written by /export history, in order
+const CSV_COLUMNS = ['id', 'timestamp', 'platform', 'side', 'asset', 'size', 'price', 'quoteAsset', 'fees', 'feeAsset', 'txId', 'status', 'source', 'orderId'];
+
+// Quote assets treated as USD when computing PnL
+const USD_QUOTES = ['USD', 'USDC', 'USDT'];
+
+class TradeLedger {
+  constructor(filePath) {
+    this.filePath = filePath || dataPath('tradeHistory.json');
+
+    const data = loadJson(this.filePath, { entryCounter: 1, trades: [] });
+    this.trades = data.trades || [];
+
+    // Never hand out an ID that is already on disk, even if the counter was lost
+    const highestId = this.trades.reduce((max, trade) => Math.max(max, trade.id || 0), 0);
+    this.entryCounter = Math.max(data.entryCounter || 1, highestId + 1);
+  }
+
+  save() {
+    saveJson(this.filePath, {
+      entryCounter: this.entryCounter,
+      trades: this.trades
+    });
+  }
+
+  // Append an executed trade and persist it
+  record(userId, trade) {
+    const entry = {
+      id: this.entryCounter++,
+      userId: String(userId),
+      timestamp: new Date().toISOString(),
+      platform: trade.platform,
+      side: trade.side,
+      asset: trade.asset,
+      size: trade.size,
+      price: trade.price,
+      quoteAsset: trade.quoteAsset || 'USD',
+      fees: trade.fees ?? null, // null when the platform does not report fees
+      feeAsset: trade.feeAsset || trade.quoteAsset || 'USD',
+      txId: trade.txId || null,
+      status: trade.status || 'executed',
+      source: trade.source || 'trade', // trade, limit, tp, sl, stop, trailing, dca, twap, redeem or resolved
+      orderId: trade.orderId || null // Bot limit order # when triggered by the monitor
+    };
+
+    this.trades.push(entry);
+    this.save();
+
+    return entry;
+  }
+
+  // A user's trades, newest first, optionally for one platform and the last N days
+  getUserTrades(userId, { platform = null, days = null } = {}) {
+    const userKey = String(userId);
+    const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+
+    return this.trades
+      .filter(trade =>
+        trade.userId === userKey &&
+        (!platform || trade.platform === platform) &&
+        new Date(trade.timestamp).getTime() >= since
+      )
+      .reverse();
+  }
+
+  getUserIds() {
+    return [...new Set(this.trades.map(trade => trade.userId))];
+  }
+
+  // Average-cost position books per platform and asset from a user's executed,
+  // USD-quoted trades. Books are rebuilt from the full history so closes are
+  // measured against the real entry; `realized` only counts closes at or after
+  // `since` (ms). Returns [{ platform, asset, qty, avgCost, realized }]
+  getPnlBooks(userId, since = 0) {
+    const userKey = String(userId);
+    const books = new Map();
+
+    this.trades
+      .filter(trade =>
+        trade.userId === userKey &&
+        trade.status === 'executed' &&
+        USD_QUOTES.includes(trade.quoteAsset)
+      )
+      .forEach(trade => {
+        const key = `${trade.platform}:${trade.asset}`;
+        if (!books.has(key)) {
+          books.set(key, { platform: trade.platform, asset: trade.asset, qty: 0, avgCost: 0, realized: 0 });
+        }
+        const book = books.get(key);
+
+        const price = parseFloat(trade.price);
+        const size = parseFloat(trade.size);
+        const signed = trade.side === 'buy' ? size : -size;
+        const qtyBefore = book.qty;
+        let realized = 0;
+
+        if (qtyBefore !== 0 && Math.sign(signed) !== Math.sign(qtyBefore)) {
+          // Reducing (or flipping) a position realizes PnL on the closed part
+          const closed = Math.min(Math.abs(signed), Math.abs(qtyBefore));
+          realized = (price - book.avgCost) * closed * Math.sign(qtyBefore);
+        } else {
+          book.avgCost = (book.avgCost * Math.abs(qtyBefore) + price * size) / (Math.abs(qtyBefore) + size);
+        }
+
+        book.qty = qtyBefore + signed;
+        if (Math.abs(book.qty) < 1e-9) {
+          book.qty = 0;
+          book.avgCost = 0;
+        } else if (Math.sign(book.qty) !== Math.sign(qtyBefore) && qtyBefore !== 0) {
+          book.avgCost = price; // Flipped: the remainder opened at this price
+        }
+
+        if (USD_QUOTES.includes(trade.feeAsset)) {
+          realized -= parseFloat(trade.fees || 0);
+        }
+
+        if (new Date(trade.timestamp).getTime() >= since) {
+          book.realized += realized;
+        }
+      });
+
+    return [...books.values()];
+  }
+
+  toCsv(trades) {
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = trades.map(trade => CSV_COLUMNS.map(column => escape(trade[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+module.exports = TradeLedger;
@@ -0,0 +1,39 @@
+const { dataPath, loadJson, saveJson } = require('./storage');
+
+// Settings every user starts with
+const DEFAULT_SETTINGS = {
+  confirmTrades: true, // Show a quote with Confirm/Cancel buttons before /trade executes
+  slippageBps: null, // Default Solana swap slippage; null uses the bot default (0.5%)
+  autoRedeem: false // Redeem winning Polymarket shares as soon as their market resolves
+};
+
+class UserSettings {
+  constructor(filePath) {
+    this.filePath = filePath || dataPath('userSettings.json');
+    this.settings = loadJson(this.filePath, {}); // userId -> overrides
+  }
+
+  get(userId) {
+    return {
+      ...DEFAULT_SETTINGS,
+      ...(this.settings[String(userId)] || {})
+    };
+  }
+
+  getUserIds() {
+    return Object.keys(this.settings);
+  }
+
+  set(userId, key, value) {
+    const userKey = String(userId);
+    this.settings[userKey] = {
+      ...(this.settings[userKey] || {}),
+      [key]: value
+    };
+    saveJson(this.filePath, this.settings);
+
+    return this.get(userId);
+  }
+}
+
+module.exports = UserSettings;